@@ -0,0 +1,102 @@
+// scripts/athome.js
+import { Chapter } from 'mangadex-full-api';
+
+// Reports go out every REPORT_FLUSH_SIZE reports or REPORT_FLUSH_MS, whichever
+// comes first, so a long run holds at most a few seconds' worth in memory
+const REPORT_FLUSH_SIZE = 10;
+const REPORT_FLUSH_MS = 5000;
+const NODE_MAX_FAILURES = parseInt(process.env.AT_HOME_MAX_FAILURES || '2', 10);
+
+// ─────────────────────────────────────────────────────────────
+// 📡 MangaDex@Home network reports (fire-and-forget)
+// The endpoint takes one report per POST; queued reports are sent
+// together when the queue is flushed, each as its own request.
+// https://api.mangadex.org/docs/04-chapter/retrieving-chapter/
+// ─────────────────────────────────────────────────────────────
+const pendingReports = [];
+const inFlight = new Set();
+let flushTimer = null;
+let reportFailures = 0;
+
+// Only at-home nodes are reported, never MangaDex's own servers
+function isMangaDexHost(url) {
+  try {
+    return new URL(url).hostname.endsWith('mangadex.org');
+  } catch {
+    return true;
+  }
+}
+
+export function isCacheHit(res) {
+  return (res?.headers.get('x-cache') || '').toUpperCase().startsWith('HIT');
+}
+
+export function reportPageFetch({ url, success, bytes = 0, duration, cached = false }) {
+  if (isMangaDexHost(url)) return;
+  pendingReports.push({ url, success, bytes, duration: Math.round(duration), cached });
+
+  if (pendingReports.length >= REPORT_FLUSH_SIZE) {
+    flushReports();
+  } else if (!flushTimer) {
+    flushTimer = setTimeout(flushReports, REPORT_FLUSH_MS);
+    flushTimer.unref();
+  }
+}
+
+function flushReports() {
+  clearTimeout(flushTimer);
+  flushTimer = null;
+  const reports = pendingReports.splice(0);
+  if (reports.length === 0) return;
+
+  const sending = Promise.allSettled(reports.map(report => Chapter.reportPageURL(report)))
+    .then(results => {
+      const failed = results.filter(r => r.status === 'rejected');
+      // Reporting is best-effort: warn once, never fail a download over it
+      if (failed.length > 0 && reportFailures === 0) {
+        console.warn(`⚠️ MangaDex@Home report failed: ${failed[0].reason?.message}`);
+      }
+      reportFailures += failed.length;
+    });
+  inFlight.add(sending);
+  sending.finally(() => inFlight.delete(sending));
+}
+
+// Call at the end of a run so the last few seconds of reports are not dropped
+export async function flushAtHomeReports() {
+  flushReports();
+  await Promise.all(inFlight);
+}
+
+// ─────────────────────────────────────────────────────────────
+// 🩺 At-home node health (consecutive failures per host)
+// ─────────────────────────────────────────────────────────────
+const nodeFailures = new Map();
+
+function nodeHost(url) {
+  return new URL(url).host;
+}
+
+// Returns true once the node has failed often enough to stop using it
+export function recordNodeResult(url, success) {
+  const host = nodeHost(url);
+  if (success) {
+    nodeFailures.delete(host);
+    return false;
+  }
+  const failures = (nodeFailures.get(host) || 0) + 1;
+  nodeFailures.set(host, failures);
+  if (failures === NODE_MAX_FAILURES) {
+    console.warn(`🚫 At-home node ${host} failed ${failures} times in a row, dropping it`);
+  }
+  return failures >= NODE_MAX_FAILURES;
+}
+
+export function isNodeBad(url) {
+  return (nodeFailures.get(nodeHost(url)) || 0) >= NODE_MAX_FAILURES;
+}
+
+// MangaDex may hand the same node back on a retry pass; give it one more chance
+export function resetNode(url) {
+  nodeFailures.delete(nodeHost(url));
+}
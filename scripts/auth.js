@@ -0,0 +1,74 @@
+// scripts/auth.js
+import { loginPersonal, Manga } from 'mangadex-full-api';
+
+// MangaDex personal API client (https://mangadex.org/settings, API Clients)
+const CREDENTIAL_ENV = {
+  username: 'MANGADEX_USERNAME',
+  password: 'MANGADEX_PASSWORD',
+  clientId: 'MANGADEX_CLIENT_ID',
+  clientSecret: 'MANGADEX_CLIENT_SECRET'
+};
+// The access token is refreshed by the library; the refresh token itself
+// expires too, so long-running processes log in again shortly before that
+const RELOGIN_MARGIN_MS = 10 * 60 * 1000;
+
+let session = null;
+let client = null;
+
+export function hasMangaDexLogin(env = process.env) {
+  return Object.values(CREDENTIAL_ENV).every(key => env[key]);
+}
+
+// Just the login settings, for options objects that outlive process.env lookups
+export function mangaDexLogin(env = process.env) {
+  if (!hasMangaDexLogin(env)) return null;
+  return Object.fromEntries(Object.values(CREDENTIAL_ENV).map(key => [key, env[key]]));
+}
+
+// ─────────────────────────────────────────────────────────────
+// 🔑 Log in once per process; afterwards every mangadex-full-api
+// call carries the account's token
+// ─────────────────────────────────────────────────────────────
+export function loginMangaDex(env = process.env) {
+  if (!hasMangaDexLogin(env)) {
+    const missing = Object.values(CREDENTIAL_ENV).filter(key => !env[key]);
+    return Promise.reject(new Error(`MangaDex login needs ${missing.join(', ')}`));
+  }
+  if (client && Date.now() > client.data.refreshExpiration - RELOGIN_MARGIN_MS) {
+    session = null;
+    client = null;
+  }
+  session ??= loginPersonal(Object.fromEntries(
+    Object.entries(CREDENTIAL_ENV).map(([field, key]) => [field, env[key]])
+  )).then(active => {
+    console.log(`🔑 Logged in to MangaDex as ${env.MANGADEX_USERNAME}`);
+    client = active;
+    return active;
+  }).catch(err => {
+    // A failed login is retried by the next caller
+    session = null;
+    throw new Error(`MangaDex login failed: ${err.message}`);
+  });
+  return session;
+}
+
+// Anonymous without MANGADEX_* settings; a configured login that fails is an error
+export async function loginIfConfigured(env = process.env) {
+  if (hasMangaDexLogin(env)) await loginMangaDex(env);
+}
+
+// ─────────────────────────────────────────────────────────────
+// 📖 Read markers on the logged-in account
+// A marker that can't be set is only a warning, the chapters
+// themselves were delivered.
+// ─────────────────────────────────────────────────────────────
+export async function markChaptersRead(mangaId, chapterIds) {
+  if (chapterIds.length === 0) return false;
+  try {
+    await Manga.updateReadChapters(mangaId, { read: chapterIds });
+    return true;
+  } catch (err) {
+    console.warn(`⚠️ Could not mark ${chapterIds.length} chapter(s) read on MangaDex: ${err.message}`);
+    return false;
+  }
+}
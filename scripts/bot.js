@@ -0,0 +1,255 @@
+// scripts/bot.js
+import { EventEmitter } from 'events';
+import {
+  resolveOptions, runDownload, fetchMangaMetadata, parseMangaId, replyTarget
+} from './index.js';
+import { parseRanges } from './chapters.js';
+import { normalizeLink } from './mangalist.js';
+import { parseSearchQuery, searchManga, describeResult } from './search.js';
+import { escapeHtml } from './posting.js';
+import { TelegramError, sendMessage, sendMediaGroup, getUpdates } from './telegram.js';
+import { ProgressMessage } from './progress.js';
+import { loginIfConfigured } from './auth.js';
+
+// Only these Telegram user IDs may send commands
+const BOT_ALLOWED_USERS = (process.env.BOT_ALLOWED_USERS || '').split(',').map(s => s.trim()).filter(Boolean);
+// One album of covers holds at most 10 photos
+const SEARCH_LIMIT = 10;
+
+const sleep = ms => new Promise(r => setTimeout(r, ms));
+
+const HELP = [
+  '<b>📚 MangaDex bot</b>',
+  '',
+  '/get &lt;url&gt; [chapters] — download, e.g. <code>/get https://mangadex.org/title/… 1-20</code>',
+  '/info &lt;url&gt; — title details and languages',
+  '/search &lt;title&gt; [filters] — find a title, e.g. <code>/search tag:action -tag:romance status:completed year:1989 author:miura</code>',
+  '/queue — running and waiting requests',
+  '/cancel [n] — cancel request #n (default: the running one)'
+].join('\n');
+
+// ─────────────────────────────────────────────────────────────
+// 📋 Request queue: one download at a time, in arrival order
+// ─────────────────────────────────────────────────────────────
+const jobs = [];
+let nextJobId = 1;
+let running = null;
+
+function describeJob(job) {
+  const what = job.title ? escapeHtml(job.title) : `<code>${escapeHtml(job.input)}</code>`;
+  return `#${job.id} ${what}${job.chapters ? ` · ch. ${escapeHtml(job.chapters)}` : ''}`;
+}
+
+async function reply(msg, text) {
+  try {
+    return await sendMessage(msg.chat.id, text, { replyTo: msg.message_id });
+  } catch (err) {
+    console.warn(`⚠️ Bot reply failed: ${err.message}`);
+    return null;
+  }
+}
+
+async function runJob(job) {
+  const progress = new ProgressMessage({ chatId: job.chatId, replyTo: job.messageId, title: job.input });
+  await progress.start();
+
+  const events = new EventEmitter();
+  events.on('selected', ({ title }) => {
+    job.title = title;
+    progress.title = title;
+  });
+  progress.attach(events);
+
+  try {
+    const env = { ...process.env, MANGA_INPUT: job.input, DRY_RUN: 'false', OUTPUT_DIR: '' };
+    if (job.chapters) Object.assign(env, { CHAPTERS: job.chapters, MAX_CHAPTERS: '1000000' });
+    const result = await runDownload({
+      ...resolveOptions(env),
+      target: replyTarget({ chatId: job.chatId, replyTo: job.messageId }),
+      events,
+      signal: job.controller.signal
+    });
+
+    const lines = [`✅ ${describeJob(job)}`, `📦 ${result.delivered}/${result.selected} chapter(s) in ${result.files.length} file(s)`];
+    if (result.failed.length > 0) {
+      lines.push(`❌ Failed: ${result.failed.slice(0, 10).map(f => escapeHtml(f.label)).join(', ')}${result.failed.length > 10 ? '...' : ''}`);
+    }
+    if (result.selected === 0) lines.push('⚠️ No chapters found');
+    await progress.finish(lines.join('\n'));
+  } catch (err) {
+    const text = job.controller.signal.aborted
+      ? `🛑 ${describeJob(job)}\nCancelled`
+      : `❌ ${describeJob(job)}\n<code>${escapeHtml(err.message)}</code>`;
+    console.error(`❌ Bot job #${job.id}: ${err.message}`);
+    await progress.finish(text);
+  }
+}
+
+async function drainJobs() {
+  if (running) return;
+  while (jobs.length > 0) {
+    running = jobs.shift();
+    await runJob(running);
+    running = null;
+  }
+}
+
+// ─────────────────────────────────────────────────────────────
+// 💬 Commands
+// ─────────────────────────────────────────────────────────────
+async function cmdGet(msg, [input, ...rangeParts]) {
+  if (!input) return reply(msg, 'Usage: <code>/get &lt;mangadex url&gt; [chapters]</code>');
+  const chapters = rangeParts.join('') || null;
+  let link;
+  try {
+    link = normalizeLink(input);
+  } catch (err) {
+    return reply(msg, `❌ Link ${escapeHtml(err.message)}`);
+  }
+  try {
+    parseRanges(chapters, 'chapter range');
+  } catch (err) {
+    return reply(msg, `❌ ${escapeHtml(err.message)}`);
+  }
+
+  const job = {
+    id: nextJobId++,
+    chatId: msg.chat.id,
+    messageId: msg.message_id,
+    input: link,
+    chapters,
+    title: null,
+    controller: new AbortController()
+  };
+  jobs.push(job);
+  const position = jobs.length + (running ? 1 : 0);
+  if (position > 1) await reply(msg, `📋 Queued ${describeJob(job)} (position ${position})`);
+  drainJobs();
+}
+
+async function cmdInfo(msg, [input]) {
+  if (!input) return reply(msg, 'Usage: <code>/info &lt;mangadex url&gt;</code>');
+  try {
+    await loginIfConfigured();
+    const meta = await fetchMangaMetadata(parseMangaId(input));
+    const desc = meta.description.length > 500 ? `${meta.description.substring(0, 500)}...` : meta.description;
+    await reply(msg, [
+      `<b>${escapeHtml(meta.title)}</b>`,
+      meta.altTitles ? `<i>${escapeHtml(meta.altTitles)}</i>` : null,
+      `📝 ${escapeHtml(meta.authors.join(', ') || 'Unknown')} · 🎨 ${escapeHtml(meta.artists.join(', ') || 'Unknown')}`,
+      `📖 ${escapeHtml(meta.status)} · 📅 ${meta.year || 'N/A'} · 🌐 <code>${escapeHtml(meta.originalLanguage || 'N/A')}</code>`,
+      meta.genres.length ? `🏷️ ${escapeHtml(meta.genres.join(', '))}` : null,
+      `🗣️ <code>${escapeHtml(meta.availableLanguages.join(', ') || 'none')}</code>`,
+      `🔗 https://mangadex.org/title/${meta.mangaId}`,
+      '',
+      escapeHtml(desc)
+    ].filter(line => line !== null).join('\n'));
+  } catch (err) {
+    await reply(msg, `❌ ${escapeHtml(err.message)}`);
+  }
+}
+
+// Filters: author:, tag:, -tag:, rating:, status:, lang: (original), year:, limit:
+async function cmdSearch(msg, args) {
+  const query = args.join(' ');
+  if (!query) return reply(msg, 'Usage: <code>/search &lt;title&gt; [tag:… -tag:… author:… status:… rating:… lang:… year:…]</code>');
+  try {
+    const filters = parseSearchQuery(query);
+    const results = await searchManga({ ...filters, limit: Math.min(filters.limit, SEARCH_LIMIT) });
+    if (results.length === 0) return reply(msg, `🔍 Nothing found for <i>${escapeHtml(query)}</i>`);
+
+    const withCovers = results.filter(r => r.coverUrl);
+    if (withCovers.length > 1) {
+      try {
+        await sendMediaGroup(msg.chat.id, withCovers.map(r => r.coverUrl), {
+          captions: withCovers.map(r => `${results.indexOf(r) + 1}. ${escapeHtml(r.title)}`),
+          replyTo: msg.message_id
+        });
+      } catch (err) {
+        console.warn(`⚠️ Search covers not sent: ${err.message}`);
+      }
+    }
+    const lines = results.map((r, idx) => `${idx + 1}. <b>${escapeHtml(describeResult(r))}</b>\n<code>/get ${r.link}</code>`);
+    await reply(msg, `🔍 <b>${escapeHtml(query)}</b>\n\n${lines.join('\n\n')}`);
+  } catch (err) {
+    await reply(msg, `❌ ${escapeHtml(err.message)}`);
+  }
+}
+
+async function cmdQueue(msg) {
+  if (!running && jobs.length === 0) return reply(msg, '📋 Nothing queued');
+  const lines = [];
+  if (running) lines.push(`⏳ ${describeJob(running)}`);
+  for (const job of jobs) lines.push(`🕒 ${describeJob(job)}`);
+  await reply(msg, `<b>📋 Queue</b>\n${lines.join('\n')}`);
+}
+
+async function cmdCancel(msg, [idArg]) {
+  const id = idArg ? parseInt(idArg.replace(/^#/, ''), 10) : running?.id;
+  if (!id) return reply(msg, '📋 Nothing running');
+
+  if (running?.id === id) {
+    running.controller.abort();
+    return reply(msg, `🛑 Cancelling ${describeJob(running)} after the current chapter`);
+  }
+  const idx = jobs.findIndex(j => j.id === id);
+  if (idx === -1) return reply(msg, `❌ No request #${id}`);
+  const [job] = jobs.splice(idx, 1);
+  await reply(msg, `🛑 Removed ${describeJob(job)}`);
+}
+
+const COMMANDS = {
+  get: cmdGet,
+  info: cmdInfo,
+  search: cmdSearch,
+  queue: cmdQueue,
+  cancel: cmdCancel,
+  start: msg => reply(msg, HELP),
+  help: msg => reply(msg, HELP)
+};
+
+async function handleMessage(msg) {
+  const match = msg.text?.match(/^\/(\w+)(?:@\w+)?(?:\s+([\s\S]*))?$/);
+  if (!match) return;
+  const [, name, rest = ''] = match;
+  const command = COMMANDS[name.toLowerCase()];
+  if (!command) return;
+
+  if (!BOT_ALLOWED_USERS.includes(String(msg.from?.id))) {
+    console.warn(`⛔ /${name} from user ${msg.from?.id} (${msg.from?.username || 'no username'}) ignored`);
+    return reply(msg, `⛔ Not allowed (user ID <code>${msg.from?.id}</code>)`);
+  }
+
+  console.log(`🤖 /${name} ${rest} (from ${msg.from.id})`);
+  await command(msg, rest.trim().split(/\s+/).filter(Boolean));
+}
+
+// ─────────────────────────────────────────────────────────────
+// 🤖 Long-polling loop
+// ─────────────────────────────────────────────────────────────
+export async function runBot() {
+  if (!process.env.TELEGRAM_BOT_TOKEN) throw new Error('TELEGRAM_BOT_TOKEN not set');
+  if (BOT_ALLOWED_USERS.length === 0) throw new Error('BOT_ALLOWED_USERS not set (comma-separated Telegram user IDs)');
+  console.log(`🤖 Bot started, ${BOT_ALLOWED_USERS.length} allowed user(s)`);
+
+  let offset = 0;
+  while (true) {
+    let updates;
+    try {
+      updates = await getUpdates(offset);
+    } catch (err) {
+      // A second instance polling the same token gets 409 Conflict; that is not recoverable here
+      if (err instanceof TelegramError && err.code === 409) throw err;
+      console.warn(`⚠️ getUpdates failed: ${err.message}, retrying in 5s`);
+      await sleep(5000);
+      continue;
+    }
+
+    for (const update of updates) {
+      offset = update.update_id + 1;
+      if (!update.message) continue;
+      // Downloads run in the background so /queue and /cancel stay responsive
+      handleMessage(update.message).catch(err => console.error(`❌ Bot command failed: ${err.message}`));
+    }
+  }
+}
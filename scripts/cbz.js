@@ -0,0 +1,143 @@
+// scripts/cbz.js
+import { createWriteStream, readdirSync, statSync } from 'fs';
+import { join } from 'path';
+import archiver from 'archiver';
+import { formatChapNum, rangeLabel } from './chapters.js';
+
+export function escapeXml(str) {
+  return String(str).replace(/[<>&"']/g, c => ({'<':'&lt;','>':'&gt;','&':'&amp;','"':'&quot;',"'":'&apos;'}[c]));
+}
+
+export function listPages(chapDir) {
+  return readdirSync(chapDir)
+    .filter(f => /\.(jpe?g|png|gif|webp|avif)$/i.test(f))
+    .sort();
+}
+
+export function dirSize(dir) {
+  return listPages(dir).reduce((sum, f) => sum + statSync(join(dir, f)).size, 0);
+}
+
+// ─────────────────────────────────────────────────────────────
+// 📝 ComicInfo.xml (Anansi schema v2.0, read by Komga/Kavita/Tachiyomi)
+// ─────────────────────────────────────────────────────────────
+export function buildComicInfo(meta, { title, number, volume, pageCount, langCode, chapterUrl }) {
+  const fields = [
+    ['Title', title],
+    ['Series', meta.title],
+    ['Number', number],
+    ['Volume', volume],
+    ['Summary', meta.description],
+    ['Year', Number.isInteger(meta.year) ? meta.year : null],
+    ['Writer', meta.authors.join(', ')],
+    ['Penciller', meta.artists.join(', ')],
+    ['Genre', meta.genres.join(', ')],
+    ['Tags', meta.themes.join(', ')],
+    ['Web', chapterUrl || `https://mangadex.org/title/${meta.mangaId}`],
+    ['PageCount', pageCount],
+    ['LanguageISO', langCode],
+    ['Manga', meta.originalLanguage === 'ja' ? 'YesAndRightToLeft' : 'Yes']
+  ];
+
+  const body = fields
+    .filter(([, value]) => value !== null && value !== undefined && value !== '')
+    .map(([tag, value]) => `  <${tag}>${escapeXml(value)}</${tag}>`)
+    .join('\n');
+
+  return `<?xml version="1.0" encoding="utf-8"?>\n` +
+    `<ComicInfo xmlns:xsd="http://www.w3.org/2001/XMLSchema" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">\n` +
+    `${body}\n</ComicInfo>\n`;
+}
+
+// ─────────────────────────────────────────────────────────────
+// 🗜️ Write one CBZ: ComicInfo.xml + pages stored uncompressed
+// (images are already compressed, deflating them again only costs time)
+// ─────────────────────────────────────────────────────────────
+async function writeCbz(outputPath, comicInfo, chapters) {
+  return new Promise((resolve, reject) => {
+    const output = createWriteStream(outputPath);
+    // statConcurrency 1 keeps entries in page order for readers that don't sort
+    const archive = archiver('zip', { store: true, statConcurrency: 1 });
+    output.on('close', () => resolve(archive.pointer()));
+    archive.on('error', reject);
+    archive.pipe(output);
+
+    archive.append(comicInfo, { name: 'ComicInfo.xml' });
+    for (const [chIdx, chap] of chapters.entries()) {
+      for (const page of listPages(chap.dir)) {
+        // Prefix with the chapter index so volume CBZs keep reading order
+        const name = chapters.length > 1
+          ? `${String(chIdx + 1).padStart(3, '0')}-${page}`
+          : page;
+        archive.file(join(chap.dir, page), { name });
+      }
+    }
+    archive.finalize();
+  });
+}
+
+// ─────────────────────────────────────────────────────────────
+// 📦 Group downloaded chapters into CBZ files as they arrive
+// grouping: 'chapter' (one CBZ each) or 'volume' (one per volume,
+// split into parts above sizeLimit). Chapters without a volume
+// always get their own CBZ. A group is yielded as soon as the next
+// chapter no longer fits, so it can be published while later
+// chapters download.
+// ─────────────────────────────────────────────────────────────
+export async function* groupCbzFiles(chapters, grouping, sizeLimit) {
+  let current = null;
+  for await (const chap of chapters) {
+    if (grouping !== 'volume') {
+      yield { volume: null, chapters: [chap] };
+      continue;
+    }
+    const sameVolume = current && chap.volume !== null && current.volume === chap.volume;
+    if (sameVolume && current.size + chap.size <= sizeLimit) {
+      current.chapters.push(chap);
+      current.size += chap.size;
+      continue;
+    }
+    // A volume that overflows is numbered Part 1, 2, ... (the total is not known yet)
+    const part = sameVolume ? (current.part ??= 1) + 1 : null;
+    if (current) yield current;
+    current = { volume: chap.volume, chapters: [chap], size: chap.size, part };
+  }
+  if (current) yield current;
+}
+
+export async function createCbz(group, meta, outDir, safeTitle) {
+  const first = group.chapters[0];
+  const last = group.chapters[group.chapters.length - 1];
+  const pageCount = group.chapters.reduce((sum, c) => sum + listPages(c.dir).length, 0);
+  const langCode = first.langCode;
+
+  let label;
+  let info;
+  if (group.volume !== null) {
+    const partTag = group.part ? ` (Part ${group.part})` : '';
+    label = `Vol.${group.volume}${partTag}`;
+    info = buildComicInfo(meta, {
+      title: `${rangeLabel(first, last)}${partTag}`,
+      number: group.volume,
+      volume: group.volume,
+      pageCount,
+      langCode
+    });
+  } else {
+    const langTag = langCode === 'en' ? '' : ` [${langCode}]`;
+    label = `${first.label}${langTag}`;
+    info = buildComicInfo(meta, {
+      title: first.title || first.label,
+      number: first.chapNum !== null ? formatChapNum(first.chapNum) : null,
+      volume: first.volume,
+      pageCount,
+      langCode,
+      chapterUrl: `https://mangadex.org/chapter/${first.chapterId}`
+    });
+  }
+
+  const fileName = `${safeTitle} - ${label}.cbz`;
+  const filePath = join(outDir, fileName);
+  const size = await writeCbz(filePath, info, group.chapters);
+  return { path: filePath, name: fileName, label, chapters: group.chapters, size };
+}
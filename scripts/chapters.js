@@ -0,0 +1,74 @@
+// scripts/chapters.js
+
+// ─────────────────────────────────────────────────────────────
+// 🔢 Chapter numbers (decimal chapters like 10.5 included)
+// ─────────────────────────────────────────────────────────────
+export function parseChapterNum(chapStr) {
+  if (!chapStr) return Infinity;
+  const num = parseFloat(chapStr);
+  return isNaN(num) ? Infinity : num;
+}
+
+export function formatChapNum(num) {
+  return Number.isInteger(num) ? num.toString() : num.toFixed(1).replace(/\.0$/, '');
+}
+
+function cleanTag(str) {
+  return String(str).replace(/[\\/:*?"<>|]/g, '_').trim().substring(0, 40);
+}
+
+// ─────────────────────────────────────────────────────────────
+// 🏷️ Identity + label for numbered and unnumbered releases
+// Unnumbered releases: "Extra"-style chapter strings keep their text,
+// volume-only uploads are keyed by volume, the rest are the oneshot.
+// All translations of the same release therefore share one key.
+// ─────────────────────────────────────────────────────────────
+export function chapterKey(ch) {
+  const num = parseChapterNum(ch.chapter);
+  if (num !== Infinity) return String(num);
+  if (ch.chapter) return `extra:${ch.volume ?? ''}:${ch.chapter.trim().toLowerCase()}`;
+  if (ch.volume) return `volume:${ch.volume}`;
+  return 'oneshot';
+}
+
+export function chapterLabel(ch) {
+  const num = parseChapterNum(ch.chapter);
+  if (num !== Infinity) return `Ch.${formatChapNum(num)}`;
+  if (ch.chapter) return `${ch.volume ? `Vol.${cleanTag(ch.volume)} ` : ''}${cleanTag(ch.chapter)}`;
+  if (ch.volume) return `Vol.${cleanTag(ch.volume)}`;
+  return 'Oneshot';
+}
+
+// "Ch.1-12" for numbered ranges, "Ch.12 - Vol.3" when either end is unnumbered
+export function rangeLabel(first, last) {
+  if (first === last || first.label === last.label) return first.label;
+  if (first.chapNum !== null && last.chapNum !== null) {
+    return `Ch.${formatChapNum(first.chapNum)}-${formatChapNum(last.chapNum)}`;
+  }
+  return `${first.label} - ${last.label}`;
+}
+
+// ─────────────────────────────────────────────────────────────
+// 📏 Ranges like "50-120", "1-20,35,40-" (open ended), "-10"
+// ─────────────────────────────────────────────────────────────
+export function parseRanges(spec, name = 'range') {
+  if (spec === undefined || spec === null || String(spec).trim() === '') return null;
+
+  return String(spec).split(',').map(part => {
+    const trimmed = part.trim();
+    const match = trimmed.match(/^(\d+(?:\.\d+)?)?\s*(-)?\s*(\d+(?:\.\d+)?)?$/);
+    if (!trimmed || !match || (!match[1] && !match[3])) {
+      throw new Error(`Invalid ${name} "${trimmed}" (expected e.g. 1-20, 35, 40-)`);
+    }
+    const min = match[1] !== undefined ? parseFloat(match[1]) : -Infinity;
+    const max = match[2] ? (match[3] !== undefined ? parseFloat(match[3]) : Infinity) : min;
+    if (min > max) throw new Error(`Invalid ${name} "${trimmed}" (start is after end)`);
+    return [min, max];
+  });
+}
+
+export function inRanges(value, ranges) {
+  if (!ranges) return true;
+  if (value === null || value === undefined || !Number.isFinite(value)) return false;
+  return ranges.some(([min, max]) => value >= min && value <= max);
+}
@@ -0,0 +1,414 @@
+#!/usr/bin/env node
+// scripts/cli.js
+import { parseArgs } from 'util';
+import { readdirSync, statSync, existsSync, readFileSync, writeFileSync } from 'fs';
+import { join, extname } from 'path';
+import {
+  resolveOptions, runDownload, fetchMangaMetadata, parseMangaId,
+  sendDocumentWithThumb, TELEGRAM_FILE_LIMIT
+} from './index.js';
+import { runQueue } from './queue.js';
+import { runWatch } from './watch.js';
+import { runBot } from './bot.js';
+import { readMangaList, validateList, formatIssue, appendToList } from './mangalist.js';
+import { normalizeFilters, searchManga, describeResult, parsePicks } from './search.js';
+import { hasMangaDexLogin, loginIfConfigured } from './auth.js';
+
+const USAGE = `Usage: manga <command> [options]
+
+Commands:
+  info <id|url>                 Show title metadata and available languages
+  search [title]                Search MangaDex; download the results or add them to a list
+  download <id|url>             Download chapters (posted to Telegram, or a local library with --out)
+  queue <list.json>             Download every title in a manga list (resumable, with a summary)
+  author <id|url>               Download every title by an author or artist, with an index post
+  mdlist <id|url>               Download every title in a MangaDex custom list, with an index post
+  follows                       Download every title the MangaDex account follows (needs MANGADEX_* login)
+  post <dir>                    Upload the zip/cbz/epub/pdf files in a directory to Telegram
+  validate <list.json>          Check a manga list without downloading anything
+  watch <list.json>             Poll the titles in a list and post new chapters as they appear
+  bot                           Answer /get, /info, /search, /queue and /cancel in Telegram
+
+Download / queue options:
+  --chapters <ranges>           Chapter ranges, e.g. 1-20,35,40-
+  --volumes <ranges>            Volume ranges, e.g. 1-3
+  --format <zip|cbz|epub|pdf>   Output format (default zip)
+  --grouping <chapter|volume>   CBZ grouping (default chapter)
+  --lang <codes>                Ranked languages, e.g. en,ru,*
+  --max <n>                     Max chapters (default 10, unlimited with --chapters/--volumes)
+  --data-saver                  Use compressed images
+  --out <dir>                   Write files to <dir>/<title> instead of posting to Telegram
+  --dry-run                     Only list the chapters that would be downloaded
+  --keep                        Keep pages and archives under manga_download/ afterwards
+
+Queue / author / mdlist / follows options:
+  --concurrency <n>             Titles processed at once (default QUEUE_CONCURRENCY or 2)
+  --fresh                       Ignore the checkpoint of an interrupted run
+  --role <any|author|artist>    author: only titles they wrote or drew (default any)
+
+Watch options:
+  --interval <minutes>          Minutes between polls (default WATCH_INTERVAL_MINUTES or 30)
+  --quiet <from-to>             Local hours without polling, e.g. 23-7 (default WATCH_QUIET_HOURS)
+  --once                        Poll once and exit (for scheduled jobs)
+
+Search options:
+  --author <name>               Author or artist
+  --tag <names>                 Tags the title must have (repeatable or comma-separated)
+  --exclude-tag <names>         Tags the title must not have
+  --rating <ratings>            safe, suggestive, erotica, pornographic
+  --status <statuses>           ongoing, completed, hiatus, cancelled
+  --orig-lang <codes>           Original language, e.g. ja,ko
+  --year <yyyy>                 Publication year
+  --limit <n>                   Number of results (default 10)
+  --pick <n,m-k|all>            Download these results (download options apply)
+  --append <list.json>          Add the picked (default: all) results to a manga list
+
+Validate options:
+  --fix                         Rewrite links with embedded spaces in place
+
+Telegram options:
+  --chat <id>                   Target chat (default TELEGRAM_CHAT_ID)
+  --to <destinations>           Several chats/topics, e.g. -1001234/auto,@mirror (default TELEGRAM_DESTINATIONS)
+  --reply-to <message_id>       post: send the files as replies to this message
+`;
+
+const ARG_OPTIONS = {
+  chapters: { type: 'string' },
+  volumes: { type: 'string' },
+  format: { type: 'string' },
+  grouping: { type: 'string' },
+  lang: { type: 'string' },
+  max: { type: 'string' },
+  'data-saver': { type: 'boolean' },
+  out: { type: 'string' },
+  'dry-run': { type: 'boolean' },
+  keep: { type: 'boolean' },
+  chat: { type: 'string' },
+  to: { type: 'string' },
+  'reply-to': { type: 'string' },
+  concurrency: { type: 'string' },
+  fresh: { type: 'boolean' },
+  role: { type: 'string' },
+  fix: { type: 'boolean' },
+  interval: { type: 'string' },
+  quiet: { type: 'string' },
+  once: { type: 'boolean' },
+  author: { type: 'string' },
+  tag: { type: 'string', multiple: true },
+  'exclude-tag': { type: 'string', multiple: true },
+  rating: { type: 'string' },
+  status: { type: 'string' },
+  'orig-lang': { type: 'string' },
+  year: { type: 'string' },
+  limit: { type: 'string' },
+  pick: { type: 'string' },
+  append: { type: 'string' },
+  help: { type: 'boolean', short: 'h' }
+};
+
+// Flags map onto the same env settings the workflows use
+const FLAG_ENV = {
+  chapters: 'CHAPTERS',
+  volumes: 'VOLUMES',
+  format: 'OUTPUT_FORMAT',
+  grouping: 'CBZ_GROUPING',
+  lang: 'LANGUAGES',
+  max: 'MAX_CHAPTERS',
+  out: 'OUTPUT_DIR',
+  chat: 'TELEGRAM_CHAT_ID',
+  to: 'TELEGRAM_DESTINATIONS'
+};
+const SWITCH_ENV = {
+  'data-saver': 'USE_DATA_SAVER',
+  'dry-run': 'DRY_RUN',
+  keep: 'KEEP_FILES'
+};
+
+function flagEnv(values) {
+  const env = {};
+  for (const [flag, key] of Object.entries(FLAG_ENV)) {
+    if (values[flag] !== undefined) env[key] = values[flag];
+  }
+  for (const [flag, key] of Object.entries(SWITCH_ENV)) {
+    if (values[flag]) env[key] = 'true';
+  }
+  return env;
+}
+
+function buildEnv(values, base = {}) {
+  const env = { ...process.env, ...base, ...flagEnv(values) };
+  // An explicit range already says what to fetch, don't cap it at the default 10
+  if (!env.MAX_CHAPTERS && (env.CHAPTERS || env.VOLUMES)) env.MAX_CHAPTERS = '1000000';
+  return env;
+}
+
+function requireTelegram(env) {
+  if (!env.TELEGRAM_BOT_TOKEN || !(env.TELEGRAM_CHAT_ID || env.TELEGRAM_DESTINATIONS)) {
+    throw new Error('Set TELEGRAM_BOT_TOKEN and TELEGRAM_CHAT_ID (or --chat / --to), or use --out <dir> for a local library');
+  }
+}
+
+function downloadOptions(env) {
+  const options = resolveOptions(env);
+  if (!options.outDir && !options.dryRun) requireTelegram(env);
+  return options;
+}
+
+// ─────────────────────────────────────────────────────────────
+// ℹ️ manga info <id>
+// ─────────────────────────────────────────────────────────────
+async function cmdInfo(input) {
+  await loginIfConfigured();
+  const meta = await fetchMangaMetadata(parseMangaId(input));
+
+  console.log(`\n📚 ${meta.title}`);
+  if (meta.altTitles) console.log(`   ${meta.altTitles}`);
+  console.log(`📝 Author: ${meta.authors.join(', ') || 'Unknown'}`);
+  console.log(`🎨 Artist: ${meta.artists.join(', ') || 'Unknown'}`);
+  console.log(`📖 Status: ${meta.status} · 📅 Year: ${meta.year || 'N/A'} · 🌐 Original: ${meta.originalLanguage || 'N/A'}`);
+  if (meta.genres.length) console.log(`🏷️ Genres: ${meta.genres.join(', ')}`);
+  if (meta.themes.length) console.log(`✨ Themes: ${meta.themes.join(', ')}`);
+  console.log(`🗣️ Languages: ${meta.availableLanguages.join(', ') || 'none'}`);
+  console.log(`🔗 https://mangadex.org/title/${meta.mangaId}`);
+  console.log(`\n${meta.description}`);
+}
+
+// ─────────────────────────────────────────────────────────────
+// 🔍 manga search [title]
+// ─────────────────────────────────────────────────────────────
+async function cmdSearch(query, values) {
+  const filters = normalizeFilters({
+    title: query,
+    author: values.author,
+    tags: values.tag,
+    excludeTags: values['exclude-tag'],
+    rating: values.rating,
+    status: values.status,
+    language: values['orig-lang'],
+    year: values.year,
+    limit: values.limit
+  });
+  const results = await searchManga(filters);
+  if (results.length === 0) {
+    console.log('🔍 Nothing found');
+    return;
+  }
+  for (const [idx, result] of results.entries()) {
+    console.log(`${String(idx + 1).padStart(2)}. ${describeResult(result)}`);
+    console.log(`    🔗 ${result.link}`);
+    if (result.coverUrl) console.log(`    🖼️ ${result.coverUrl}`);
+  }
+
+  const picked = values.pick ? parsePicks(values.pick, results.length).map(idx => results[idx]) : null;
+  if (values.append) {
+    const { added, skipped } = appendToList(values.append, picked ?? results);
+    console.log(`\n➕ Added ${added} title(s) to ${values.append}${skipped ? `, ${skipped} already listed` : ''}`);
+    return;
+  }
+  if (!picked) return;
+
+  const env = buildEnv(values);
+  if (!env.OUTPUT_DIR && env.DRY_RUN !== 'true') requireTelegram(env);
+  // One title after another; a failed title doesn't stop the rest
+  let failed = 0;
+  for (const result of picked) {
+    console.log(`\n📥 ${result.title}`);
+    try {
+      const run = await runDownload(downloadOptions(buildEnv(values, { MANGA_INPUT: result.link })));
+      if (run.failed.length > 0) failed++;
+    } catch (err) {
+      console.error(`❌ ${result.title}: ${err.message}`);
+      failed++;
+    }
+  }
+  if (failed > 0) process.exitCode = 1;
+}
+
+// ─────────────────────────────────────────────────────────────
+// 📥 manga download <id>
+// ─────────────────────────────────────────────────────────────
+async function cmdDownload(input, values) {
+  const result = await runDownload(downloadOptions(buildEnv(values, { MANGA_INPUT: input })));
+  if (result.failed.length > 0) process.exitCode = 1;
+}
+
+// ─────────────────────────────────────────────────────────────
+// 📋 manga queue <list.json> (same list format as the queue workflow)
+// ─────────────────────────────────────────────────────────────
+async function cmdQueue(listPath, values, list) {
+  const overrides = flagEnv(values);
+  const env = { ...process.env, ...overrides };
+  if (!env.OUTPUT_DIR && env.DRY_RUN !== 'true') requireTelegram(env);
+
+  const concurrency = values.concurrency !== undefined ? parseInt(values.concurrency, 10) : undefined;
+  if (concurrency !== undefined && !(concurrency >= 1)) throw new Error('--concurrency must be a positive integer');
+
+  const summary = await runQueue(listPath, { overrides, concurrency, fresh: Boolean(values.fresh), list });
+  if (summary.totals.failed > 0) process.exitCode = 1;
+}
+
+// ─────────────────────────────────────────────────────────────
+// 👤 manga author / mdlist / follows: a one-entry list, run as a queue
+// ─────────────────────────────────────────────────────────────
+function runSourceEntry(label, entry, values) {
+  const list = validateList(JSON.stringify([entry]));
+  const [{ errors }] = list.entries;
+  if (errors.length > 0) throw new Error(errors.map(e => e.message).join('\n'));
+  return cmdQueue(label, values, list);
+}
+
+async function cmdAuthor(input, values) {
+  const entry = { author: input, ...(values.role !== undefined ? { role: values.role } : {}) };
+  return runSourceEntry(`author:${parseMangaId(input)}`, entry, values);
+}
+
+async function cmdMdList(input, values) {
+  return runSourceEntry(`list:${parseMangaId(input)}`, { list: input }, values);
+}
+
+async function cmdFollows(_arg, values) {
+  if (!hasMangaDexLogin()) throw new Error('follows needs MANGADEX_USERNAME, MANGADEX_PASSWORD, MANGADEX_CLIENT_ID and MANGADEX_CLIENT_SECRET');
+  return runSourceEntry('follows', { follows: true }, values);
+}
+
+// ─────────────────────────────────────────────────────────────
+// 📤 manga post <dir>
+// ─────────────────────────────────────────────────────────────
+const POSTABLE = ['.zip', '.cbz', '.epub', '.pdf'];
+
+async function cmdPost(dir, values) {
+  const env = buildEnv(values);
+  requireTelegram(env);
+  if (!env.TELEGRAM_CHAT_ID) throw new Error('post sends to a single chat, set TELEGRAM_CHAT_ID or --chat');
+  if (!existsSync(dir)) throw new Error(`${dir} does not exist`);
+
+  const files = readdirSync(dir)
+    .filter(f => POSTABLE.includes(extname(f).toLowerCase()))
+    .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+  if (files.length === 0) throw new Error(`No ${POSTABLE.join('/')} files in ${dir}`);
+
+  let posted = 0;
+  for (const [idx, file] of files.entries()) {
+    const filePath = join(dir, file);
+    const size = statSync(filePath).size;
+    if (size > TELEGRAM_FILE_LIMIT) {
+      console.warn(`⚠️ ${file} is ${(size/1024/1024).toFixed(1)} MB, over the upload limit, skipping`);
+      continue;
+    }
+    console.log(`📤 [${idx + 1}/${files.length}] ${file} (${(size/1024/1024).toFixed(1)} MB)`);
+    const caption = file.slice(0, -extname(file).length);
+    const sent = await sendDocumentWithThumb(env.TELEGRAM_CHAT_ID, filePath, file, caption, values['reply-to'] || null, null);
+    if (sent) posted++;
+    else console.error(`  ❌ Upload failed`);
+  }
+
+  console.log(`\n✅ Posted ${posted}/${files.length} file(s)`);
+  if (posted < files.length) process.exitCode = 1;
+}
+
+// ─────────────────────────────────────────────────────────────
+// 👀 manga watch <list.json>
+// ─────────────────────────────────────────────────────────────
+async function cmdWatch(listPath, values) {
+  const overrides = flagEnv(values);
+  const env = { ...process.env, ...overrides };
+  if (env.OUTPUT_DIR) throw new Error('watch posts to Telegram and keeps its ledger; --out is not supported');
+  if (env.DRY_RUN !== 'true') requireTelegram(env);
+
+  const intervalMinutes = values.interval !== undefined ? parseFloat(values.interval) : undefined;
+  const stats = await runWatch(listPath, {
+    env,
+    overrides,
+    intervalMinutes,
+    quietHours: values.quiet,
+    once: Boolean(values.once)
+  });
+  if (stats.failed > 0) process.exitCode = 1;
+}
+
+// ─────────────────────────────────────────────────────────────
+// ✅ manga validate <list.json>
+// ─────────────────────────────────────────────────────────────
+async function cmdValidate(listPath, values) {
+  if (!existsSync(listPath)) throw new Error(`${listPath} does not exist`);
+  const list = readMangaList(listPath);
+  const problems = [...list.errors, ...list.entries.flatMap(e => e.errors)];
+  const notes = list.entries.flatMap(e => e.notes);
+
+  for (const issue of problems) console.error(`❌ ${formatIssue(listPath, issue)}`);
+  for (const note of notes) console.log(`ℹ️ ${formatIssue(listPath, note)}`);
+
+  if (values.fix) {
+    // Only the link strings change; formatting and key order are kept
+    let text = readFileSync(listPath, 'utf8');
+    let fixed = 0;
+    for (const entry of list.entries) {
+      if (!entry.input || !/\s/.test(entry.input.trim())) continue;
+      text = text.replace(JSON.stringify(entry.input), JSON.stringify(entry.input.replace(/\s+/g, '')));
+      fixed++;
+    }
+    if (fixed > 0) {
+      writeFileSync(listPath, text);
+      console.log(`🔧 Fixed ${fixed} link(s) in ${listPath}`);
+    }
+  }
+
+  if (problems.length > 0) {
+    console.error(`\n❌ ${problems.length} problem(s) in ${listPath}`);
+    process.exitCode = 1;
+    return;
+  }
+  console.log(`✅ ${list.entries.length} title(s) in ${listPath} are valid`);
+}
+
+// ─────────────────────────────────────────────────────────────
+// 🚀 Entry point
+// ─────────────────────────────────────────────────────────────
+const COMMANDS = {
+  info: { run: cmdInfo, arg: '<id|url>' },
+  search: { run: cmdSearch, arg: null },
+  download: { run: cmdDownload, arg: '<id|url>' },
+  queue: { run: cmdQueue, arg: '<list.json>' },
+  author: { run: cmdAuthor, arg: '<id|url>' },
+  mdlist: { run: cmdMdList, arg: '<id|url>' },
+  follows: { run: cmdFollows, arg: null },
+  post: { run: cmdPost, arg: '<dir>' },
+  validate: { run: cmdValidate, arg: '<list.json>' },
+  watch: { run: cmdWatch, arg: '<list.json>' },
+  bot: { run: runBot, arg: null }
+};
+
+async function main() {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: process.argv.slice(2), options: ARG_OPTIONS, allowPositionals: true });
+  } catch (err) {
+    console.error(`❌ ${err.message}\n\n${USAGE}`);
+    process.exit(1);
+  }
+
+  const { values, positionals: [command, arg] } = parsed;
+  if (values.help || !command) {
+    console.log(USAGE);
+    return;
+  }
+
+  const cmd = COMMANDS[command];
+  if (!cmd) {
+    console.error(`❌ Unknown command "${command}"\n\n${USAGE}`);
+    process.exit(1);
+  }
+  if (!arg && cmd.arg) {
+    console.error(`❌ Usage: manga ${command} ${cmd.arg}`);
+    process.exit(1);
+  }
+
+  try {
+    await cmd.run(arg, values);
+  } catch (err) {
+    console.error(`❌ ${err.message}`);
+    process.exit(1);
+  }
+}
+
+main();
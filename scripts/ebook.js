@@ -0,0 +1,247 @@
+// scripts/ebook.js
+import { createWriteStream, statSync, rmSync } from 'fs';
+import { join } from 'path';
+import { randomUUID } from 'crypto';
+import archiver from 'archiver';
+import PDFDocument from 'pdfkit';
+import sharp from 'sharp';
+import { listPages, escapeXml } from './cbz.js';
+import { rangeLabel } from './chapters.js';
+
+function chapterLabel(chap) {
+  const langTag = chap.langCode === 'en' ? '' : ` [${chap.langCode}]`;
+  return `${chap.label}${chap.title ? ` - ${chap.title}` : ''}${langTag}`;
+}
+
+// ─────────────────────────────────────────────────────────────
+// 🖼️ Normalise a page for e-readers: JPEG/PNG pass through,
+// anything else (WebP, GIF, AVIF) is re-encoded to JPEG
+// ─────────────────────────────────────────────────────────────
+async function loadPage(filePath) {
+  const image = sharp(filePath);
+  const { width, height, format } = await image.metadata();
+  if (format === 'jpeg' || format === 'png') {
+    return { data: await image.toBuffer(), width, height, ext: format === 'png' ? 'png' : 'jpg' };
+  }
+  return { data: await image.jpeg({ quality: 90 }).toBuffer(), width, height, ext: 'jpg' };
+}
+
+const MIME = { jpg: 'image/jpeg', png: 'image/png' };
+
+// ─────────────────────────────────────────────────────────────
+// 📖 Fixed-layout EPUB 3 (one pre-paginated page per image)
+// ─────────────────────────────────────────────────────────────
+async function writeEpub(outputPath, book) {
+  const { meta, chapters, coverPath, title } = book;
+  const rtl = meta.originalLanguage === 'ja';
+  const language = chapters[0]?.langCode || 'en';
+
+  const output = createWriteStream(outputPath);
+  const archive = archiver('zip', { zlib: { level: 6 } });
+  const done = new Promise((resolve, reject) => {
+    output.on('close', () => resolve(archive.pointer()));
+    archive.on('error', reject);
+  });
+  archive.pipe(output);
+
+  // The mimetype entry must come first and stay uncompressed
+  archive.append('application/epub+zip', { name: 'mimetype', store: true });
+  archive.append(
+    `<?xml version="1.0" encoding="UTF-8"?>\n` +
+    `<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">\n` +
+    `  <rootfiles><rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/></rootfiles>\n` +
+    `</container>\n`,
+    { name: 'META-INF/container.xml' }
+  );
+
+  const manifest = [];
+  const spine = [];
+  const toc = [];
+  let pageNo = 0;
+
+  const addPage = async (filePath, { isCover = false } = {}) => {
+    const page = await loadPage(filePath);
+    const id = isCover ? 'cover' : `p${String(++pageNo).padStart(5, '0')}`;
+    const imageName = `images/${id}.${page.ext}`;
+    const pageName = `pages/${id}.xhtml`;
+
+    // Images are already compressed; deflating them again only costs time
+    archive.append(page.data, { name: `OEBPS/${imageName}`, store: true });
+    archive.append(
+      `<?xml version="1.0" encoding="UTF-8"?>\n<!DOCTYPE html>\n` +
+      `<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops">\n` +
+      `<head><title>${escapeXml(title)}</title>` +
+      `<meta name="viewport" content="width=${page.width}, height=${page.height}"/>` +
+      `<style>html,body{margin:0;padding:0}img{display:block;width:100%;height:100%}</style></head>\n` +
+      `<body><img src="../${imageName}" alt=""/></body>\n</html>\n`,
+      { name: `OEBPS/${pageName}` }
+    );
+
+    manifest.push(`<item id="img-${id}" href="${imageName}" media-type="${MIME[page.ext]}"${isCover ? ' properties="cover-image"' : ''}/>`);
+    manifest.push(`<item id="${id}" href="${pageName}" media-type="application/xhtml+xml"/>`);
+    spine.push(`<itemref idref="${id}"/>`);
+    return pageName;
+  };
+
+  if (coverPath) toc.push({ label: 'Cover', href: await addPage(coverPath, { isCover: true }) });
+  for (const chap of chapters) {
+    let firstPage = null;
+    for (const file of listPages(chap.dir)) {
+      const href = await addPage(join(chap.dir, file));
+      firstPage ??= href;
+    }
+    if (firstPage) toc.push({ label: chapterLabel(chap), href: firstPage });
+  }
+
+  const navItems = toc.map(t => `      <li><a href="${t.href}">${escapeXml(t.label)}</a></li>`).join('\n');
+  archive.append(
+    `<?xml version="1.0" encoding="UTF-8"?>\n<!DOCTYPE html>\n` +
+    `<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops">\n` +
+    `<head><title>${escapeXml(title)}</title></head>\n<body>\n` +
+    `  <nav epub:type="toc" id="toc">\n    <h1>${escapeXml(title)}</h1>\n    <ol>\n${navItems}\n    </ol>\n  </nav>\n` +
+    `</body>\n</html>\n`,
+    { name: 'OEBPS/nav.xhtml' }
+  );
+
+  // EPUB 2 NCX for older Kobo firmware and Kindle conversion
+  const uid = `urn:uuid:${randomUUID()}`;
+  const navPoints = toc.map((t, i) =>
+    `    <navPoint id="n${i + 1}" playOrder="${i + 1}"><navLabel><text>${escapeXml(t.label)}</text></navLabel><content src="${t.href}"/></navPoint>`
+  ).join('\n');
+  archive.append(
+    `<?xml version="1.0" encoding="UTF-8"?>\n` +
+    `<ncx xmlns="http://www.daisy.org/z3986/2005/ncx/" version="2005-1">\n` +
+    `  <head><meta name="dtb:uid" content="${uid}"/></head>\n` +
+    `  <docTitle><text>${escapeXml(title)}</text></docTitle>\n` +
+    `  <navMap>\n${navPoints}\n  </navMap>\n</ncx>\n`,
+    { name: 'OEBPS/toc.ncx' }
+  );
+
+  const metadata = [
+    `<dc:identifier id="uid">${uid}</dc:identifier>`,
+    `<dc:title>${escapeXml(title)}</dc:title>`,
+    `<dc:language>${escapeXml(language)}</dc:language>`,
+    ...meta.authors.map(a => `<dc:creator>${escapeXml(a)}</dc:creator>`),
+    ...meta.artists.map(a => `<dc:contributor>${escapeXml(a)}</dc:contributor>`),
+    ...[...meta.genres, ...meta.themes].map(g => `<dc:subject>${escapeXml(g)}</dc:subject>`),
+    meta.description ? `<dc:description>${escapeXml(meta.description)}</dc:description>` : null,
+    Number.isInteger(meta.year) ? `<dc:date>${meta.year}</dc:date>` : null,
+    `<dc:source>https://mangadex.org/title/${meta.mangaId}</dc:source>`,
+    `<meta property="dcterms:modified">${new Date().toISOString().replace(/\.\d+Z$/, 'Z')}</meta>`,
+    `<meta property="rendition:layout">pre-paginated</meta>`,
+    `<meta property="rendition:orientation">portrait</meta>`,
+    `<meta property="rendition:spread">none</meta>`,
+    coverPath ? `<meta name="cover" content="img-cover"/>` : null,
+    `<meta name="book-type" content="comic"/>`
+  ].filter(Boolean);
+
+  archive.append(
+    `<?xml version="1.0" encoding="UTF-8"?>\n` +
+    `<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="uid" xml:lang="${escapeXml(language)}">\n` +
+    `  <metadata xmlns:dc="http://purl.org/dc/elements/1.1/">\n    ${metadata.join('\n    ')}\n  </metadata>\n` +
+    `  <manifest>\n` +
+    `    <item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>\n` +
+    `    <item id="ncx" href="toc.ncx" media-type="application/x-dtbncx+xml"/>\n` +
+    `    ${manifest.join('\n    ')}\n  </manifest>\n` +
+    `  <spine toc="ncx"${rtl ? ' page-progression-direction="rtl"' : ''}>\n    ${spine.join('\n    ')}\n  </spine>\n` +
+    `</package>\n`,
+    { name: 'OEBPS/content.opf' }
+  );
+
+  archive.finalize();
+  return done;
+}
+
+// ─────────────────────────────────────────────────────────────
+// 📄 PDF (one page per image, chapter outline as the TOC)
+// ─────────────────────────────────────────────────────────────
+async function writePdf(outputPath, book) {
+  const { meta, chapters, coverPath, title } = book;
+  const doc = new PDFDocument({
+    autoFirstPage: false,
+    info: {
+      Title: title,
+      Author: meta.authors.join(', '),
+      Subject: meta.description?.substring(0, 500) || '',
+      Keywords: [...meta.genres, ...meta.themes].join(', '),
+      Creator: `https://mangadex.org/title/${meta.mangaId}`
+    }
+  });
+  const output = createWriteStream(outputPath);
+  const done = new Promise((resolve, reject) => {
+    output.on('close', () => resolve(statSync(outputPath).size));
+    output.on('error', reject);
+  });
+  doc.pipe(output);
+
+  const addPage = async filePath => {
+    const page = await loadPage(filePath);
+    doc.addPage({ size: [page.width, page.height], margin: 0 });
+    doc.image(page.data, 0, 0, { width: page.width, height: page.height });
+  };
+
+  if (coverPath) {
+    await addPage(coverPath);
+    doc.outline.addItem('Cover');
+  }
+  for (const chap of chapters) {
+    const files = listPages(chap.dir);
+    for (const [i, file] of files.entries()) {
+      await addPage(join(chap.dir, file));
+      // Outline entries point at the current page, so add them after the chapter's first page
+      if (i === 0) doc.outline.addItem(chapterLabel(chap));
+    }
+  }
+
+  doc.end();
+  return done;
+}
+
+// Books for a local library (no upload limit) still close at this size,
+// so a long selection doesn't keep every chapter's pages on disk until the end
+const LOCAL_BOOK_BYTES = 500 * 1024 * 1024;
+
+// ─────────────────────────────────────────────────────────────
+// 📚 Group chapters into books under the upload size limit,
+// yielding each book once the next chapter would not fit
+// ─────────────────────────────────────────────────────────────
+export async function* groupBooks(chapters, sizeLimit) {
+  const budget = Number.isFinite(sizeLimit) ? sizeLimit : LOCAL_BOOK_BYTES;
+  let current = { chapters: [], size: 0 };
+  for await (const chap of chapters) {
+    if (current.size + chap.size > budget && current.chapters.length > 0) {
+      yield current;
+      current = { chapters: [], size: 0 };
+    }
+    current.chapters.push(chap);
+    current.size += chap.size;
+  }
+  if (current.chapters.length > 0) yield current;
+}
+
+// Builds the book; if re-encoding pushed it over the limit, splits the chapter range in half.
+// A single chapter still over the limit comes back with oversize set
+export async function createBooks(format, chapters, { meta, coverPath, outDir, safeTitle, sizeLimit }) {
+  const range = rangeLabel(chapters[0], chapters[chapters.length - 1]);
+  const fileName = `${safeTitle} - ${range}.${format}`;
+  const filePath = join(outDir, fileName);
+  const book = { meta, chapters, coverPath, title: `${meta.title} - ${range}` };
+
+  const size = format === 'epub' ? await writeEpub(filePath, book) : await writePdf(filePath, book);
+  if (size > sizeLimit && chapters.length > 1) {
+    console.warn(`⚠️ ${fileName} is ${(size/1024/1024).toFixed(1)} MB, splitting chapter range`);
+    rmSync(filePath, { force: true });
+    const mid = Math.ceil(chapters.length / 2);
+    const options = { meta, coverPath, outDir, safeTitle, sizeLimit };
+    return [
+      ...await createBooks(format, chapters.slice(0, mid), options),
+      ...await createBooks(format, chapters.slice(mid), options)
+    ];
+  }
+  const file = { path: filePath, name: fileName, label: range, chapters, size };
+  if (size > sizeLimit) {
+    // One chapter can't be split further; re-encoding may be what pushed it over
+    file.oversize = `chapter exceeds ${Math.round(sizeLimit / 1024 / 1024)} MB as ${format.toUpperCase()} (${(size / 1024 / 1024).toFixed(1)} MB)`;
+  }
+  return [file];
+}
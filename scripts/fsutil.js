@@ -0,0 +1,11 @@
+// scripts/fsutil.js
+import { writeFileSync, renameSync, mkdirSync } from 'fs';
+import { dirname } from 'path';
+
+// Write through a temp file so an interrupted run never leaves half a JSON file
+export function writeJsonAtomic(path, data) {
+  mkdirSync(dirname(path), { recursive: true });
+  const tmpPath = `${path}.tmp`;
+  writeFileSync(tmpPath, JSON.stringify(data, null, 2) + '\n');
+  renameSync(tmpPath, path);
+}
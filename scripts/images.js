@@ -0,0 +1,129 @@
+// scripts/images.js
+import { renameSync, rmSync, statSync } from 'fs';
+import { join, parse } from 'path';
+import sharp from 'sharp';
+import { listPages } from './cbz.js';
+
+const IMAGE_FORMATS = ['original', 'jpeg', 'webp', 'avif'];
+
+// ─────────────────────────────────────────────────────────────
+// ⚙️ Image pipeline options (env driven, everything off by default)
+// ─────────────────────────────────────────────────────────────
+export function getImageOptions(env = process.env) {
+  const format = (env.IMAGE_FORMAT || 'original').toLowerCase();
+  if (!IMAGE_FORMATS.includes(format)) {
+    throw new Error(`IMAGE_FORMAT must be one of: ${IMAGE_FORMATS.join(', ')}`);
+  }
+
+  const options = {
+    maxWidth: parseInt(env.IMAGE_MAX_WIDTH || '0', 10) || null,
+    maxHeight: parseInt(env.IMAGE_MAX_HEIGHT || '0', 10) || null,
+    format,
+    quality: Math.min(100, Math.max(1, parseInt(env.IMAGE_QUALITY || '80', 10))),
+    grayscale: env.IMAGE_GRAYSCALE === 'true',
+    lossless: env.IMAGE_LOSSLESS === 'true'
+  };
+  options.enabled = Boolean(
+    options.maxWidth || options.maxHeight || options.grayscale || options.lossless || options.format !== 'original'
+  );
+  return options;
+}
+
+export function describeImageOptions(options) {
+  const parts = [];
+  if (options.maxWidth || options.maxHeight) parts.push(`max ${options.maxWidth || '∞'}x${options.maxHeight || '∞'}`);
+  if (options.format !== 'original') parts.push(`${options.format}${options.lossless ? ' lossless' : ` q${options.quality}`}`);
+  else if (options.lossless) parts.push('lossless optimise');
+  if (options.grayscale) parts.push('grayscale');
+  return parts.join(', ');
+}
+
+// ─────────────────────────────────────────────────────────────
+// 🎨 Encode one page according to the options
+// ─────────────────────────────────────────────────────────────
+function encode(pipeline, format, options) {
+  const { quality, lossless } = options;
+  switch (format) {
+    case 'jpeg':
+      // JPEG has no lossless mode in sharp; lossless only applies to the other formats
+      return pipeline.jpeg({ quality, mozjpeg: true });
+    case 'webp':
+      return pipeline.webp(lossless ? { lossless: true, effort: 6 } : { quality, effort: 5 });
+    case 'avif':
+      return pipeline.avif(lossless ? { lossless: true } : { quality, effort: 4 });
+    case 'png':
+      return pipeline.png({ compressionLevel: 9, adaptiveFiltering: true });
+    default:
+      // Keep whatever else came in (gif, ...); the .tmp suffix hides the format from sharp
+      return pipeline.toFormat(format);
+  }
+}
+
+async function processPage(filePath, options) {
+  const { dir, name } = parse(filePath);
+  const before = statSync(filePath).size;
+  const meta = await sharp(filePath).metadata();
+  const sourceFormat = meta.format === 'jpg' ? 'jpeg' : meta.format;
+
+  // 'original' keeps the source format; a lossless-only run leaves JPEGs alone
+  const format = options.format === 'original' ? sourceFormat : options.format;
+  const transforms = Boolean(options.maxWidth || options.maxHeight || options.grayscale);
+  if (!transforms && format === sourceFormat && (sourceFormat === 'jpeg' || sourceFormat === 'gif')) {
+    return { before, after: before };
+  }
+
+  let pipeline = sharp(filePath);
+  if (options.maxWidth || options.maxHeight) {
+    pipeline = pipeline.resize({
+      width: options.maxWidth || undefined,
+      height: options.maxHeight || undefined,
+      fit: 'inside',
+      withoutEnlargement: true
+    });
+  }
+  if (options.grayscale) pipeline = pipeline.grayscale();
+
+  const ext = { jpeg: 'jpg', webp: 'webp', avif: 'avif', png: 'png', gif: 'gif' }[format] || meta.format;
+  const outPath = join(dir, `${name}.${ext}`);
+  const tmpPath = `${outPath}.tmp`;
+  try {
+    await encode(pipeline, format, options).toFile(tmpPath);
+  } catch (err) {
+    rmSync(tmpPath, { force: true });
+    throw err;
+  }
+  const after = statSync(tmpPath).size;
+
+  // A pure re-encode that grew the file is not worth keeping
+  if (!transforms && format === sourceFormat && after >= before) {
+    rmSync(tmpPath, { force: true });
+    return { before, after: before };
+  }
+
+  if (outPath !== filePath) rmSync(filePath, { force: true });
+  renameSync(tmpPath, outPath);
+  return { before, after };
+}
+
+// ─────────────────────────────────────────────────────────────
+// 🗜️ Process every page of a chapter in place, report savings
+// ─────────────────────────────────────────────────────────────
+export async function processChapterImages(chapDir, options) {
+  let before = 0;
+  let after = 0;
+  // Sequential on purpose: sharp already uses every core per image
+  for (const file of listPages(chapDir)) {
+    const filePath = join(chapDir, file);
+    try {
+      const result = await processPage(filePath, options);
+      before += result.before;
+      after += result.after;
+    } catch (err) {
+      console.warn(`  ⚠️ Image processing failed for ${file}, keeping original: ${err.message}`);
+      const size = statSync(filePath).size;
+      before += size;
+      after += size;
+    }
+  }
+  return { before, after };
+}
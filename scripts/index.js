@@ -0,0 +1,348 @@
+// scripts/index.js
+import { mkdirSync, rmSync, readdirSync } from 'fs';
+import { EventEmitter } from 'events';
+import { join } from 'path';
+import { installGlobalFetch } from './scheduler.js';
+import { flushAtHomeReports } from './athome.js';
+import { dirSize } from './cbz.js';
+import { getImageOptions, describeImageOptions, processChapterImages } from './images.js';
+import { fetchMangaMetadata, resolveCovers, parseMangaId, sanitize } from './metadata.js';
+import { getChapterPrefs, fetchFullFeed, selectChapters, describeVersion } from './selection.js';
+import { downloadChapter } from './pages.js';
+import { packageChapters, zipChapter, ChapterQueue, OUTPUT_FORMATS, CBZ_GROUPINGS } from './packaging.js';
+import { telegramTarget, libraryTarget, parseDestinations } from './targets.js';
+import { mangaDexLogin, loginMangaDex, markChaptersRead } from './auth.js';
+
+// MangaDex API calls made by mangadex-full-api share the same scheduler/proxies
+installGlobalFetch();
+
+export { fetchMangaMetadata, resolveCovers, parseMangaId } from './metadata.js';
+export { getChapterPrefs, fetchFullFeed, fetchFeedSince, selectChapters } from './selection.js';
+export { downloadChapter } from './pages.js';
+export { packageChapters, OUTPUT_FORMATS, CBZ_GROUPINGS } from './packaging.js';
+export { telegramTarget, replyTarget, libraryTarget, parseDestinations } from './targets.js';
+export { TELEGRAM_FILE_LIMIT, sendDocumentWithThumb, sendText } from './posting.js';
+
+// ─────────────────────────────────────────────────────────────
+// ⚙️ Run options from env (the CLI overlays its flags onto a copy)
+// ─────────────────────────────────────────────────────────────
+export function resolveOptions(env = process.env) {
+  const outputFormat = (env.OUTPUT_FORMAT || 'zip').toLowerCase();
+  const cbzGrouping = (env.CBZ_GROUPING || 'chapter').toLowerCase();
+  const maxChapters = parseInt(env.MAX_CHAPTERS || '10', 10);
+
+  if (!env.MANGA_INPUT) throw new Error('MANGA_INPUT not set');
+  if (!OUTPUT_FORMATS.includes(outputFormat)) {
+    throw new Error(`OUTPUT_FORMAT must be one of: ${OUTPUT_FORMATS.join(', ')}`);
+  }
+  if (!CBZ_GROUPINGS.includes(cbzGrouping)) {
+    throw new Error(`CBZ_GROUPING must be one of: ${CBZ_GROUPINGS.join(', ')}`);
+  }
+  if (!Number.isInteger(maxChapters) || maxChapters < 1) {
+    throw new Error('MAX_CHAPTERS must be a positive integer');
+  }
+  if (env.TELEGRAM_TOPIC_ID && !/^(\d+|auto)$/.test(env.TELEGRAM_TOPIC_ID)) {
+    throw new Error('TELEGRAM_TOPIC_ID must be a message_thread_id number or "auto"');
+  }
+  // TELEGRAM_DESTINATIONS lists several chats/topics; otherwise the single chat (and topic) is used
+  const destinations = env.TELEGRAM_DESTINATIONS
+    ? parseDestinations(env.TELEGRAM_DESTINATIONS)
+    : parseDestinations(env.TELEGRAM_CHAT_ID && (env.TELEGRAM_TOPIC_ID ? `${env.TELEGRAM_CHAT_ID}/${env.TELEGRAM_TOPIC_ID}` : env.TELEGRAM_CHAT_ID));
+  const mangadexLogin = mangaDexLogin(env);
+
+  return {
+    mangaInput: env.MANGA_INPUT,
+    useDataSaver: env.USE_DATA_SAVER === 'true',
+    maxChapters,
+    outputFormat,
+    cbzGrouping,
+    imageOptions: getImageOptions(env),
+    chapterPrefs: getChapterPrefs(env),
+    telegramChatId: env.TELEGRAM_CHAT_ID,
+    // [{ chatId, topicId, autoTopic }], each with its own root post
+    destinations,
+    // Replaces the MangaDex title on the info card, in file names and metadata
+    titleOverride: env.TITLE_OVERRIDE?.trim() || null,
+    // Local library mode: files are written under outDir/<title> and nothing is posted
+    outDir: env.OUTPUT_DIR || null,
+    dryRun: env.DRY_RUN === 'true',
+    keep: env.KEEP_FILES === 'true',
+    // MANGADEX_* personal client: API calls run as that account
+    mangadexLogin,
+    // Chapters posted to Telegram are marked read on that account
+    markRead: Boolean(mangadexLogin) && env.MANGADEX_MARK_READ !== 'false'
+  };
+}
+
+export function createTarget(options) {
+  return options.outDir
+    ? libraryTarget({ outDir: options.outDir })
+    : telegramTarget({ destinations: options.destinations });
+}
+
+// ─────────────────────────────────────────────────────────────
+// 📤 Publish packaged files as they are sealed, removing each one
+// (and the chapters inside it) once the target has it
+// ─────────────────────────────────────────────────────────────
+async function publishFiles(files, { target, result, emit, discard, signal, markRead }) {
+  console.log(`📦 Publishing to ${target.name} as files are ready`);
+  for await (const file of files) {
+    signal?.throwIfAborted();
+    console.log(`📦 #${file.index} ${file.name} (${(file.size/1024/1024).toFixed(1)} MB)`);
+    if (file.oversize) {
+      // Telegram would only reject it after the whole upload
+      console.error(`  ❌ ${file.name} not published: ${file.oversize}`);
+      for (const chap of file.chapters) {
+        result.failed.push({ chapterId: chap.chapterId, label: chap.label, langCode: chap.langCode, reason: file.oversize });
+      }
+    } else {
+      await publishFile(file, { target, result, emit, markRead });
+    }
+    discard(file.path);
+    for (const chap of file.chapters) {
+      discard(chap.dir);
+      if (chap.zipPath) discard(chap.zipPath);
+    }
+  }
+}
+
+async function publishFile(file, { target, result, emit, markRead }) {
+  const entry = {
+    name: file.name,
+    label: file.label,
+    size: file.size,
+    chapters: file.chapters.map(c => c.chapterId)
+  };
+  emit('bundle:created', entry);
+
+  const published = await target.publish(file);
+  Object.assign(entry, published);
+  result.files.push(entry);
+  if (published?.ok) {
+    result.delivered += file.chapters.length;
+    emit('bundle:published', entry);
+    if (markRead) await markChaptersRead(result.mangaId, entry.chapters);
+    if (published.failed?.length > 0) console.error(`  ⚠️ ${file.name} missing in ${published.failed.length} destination(s): ${published.reason}`);
+  } else {
+    const reason = published?.reason || 'not published';
+    console.error(`  ❌ ${file.name} not published${published?.reason ? `: ${published.reason}` : ''}`);
+    for (const chap of file.chapters) {
+      result.failed.push({ chapterId: chap.chapterId, label: chap.label, langCode: chap.langCode, reason });
+    }
+  }
+}
+
+// ─────────────────────────────────────────────────────────────
+// 🚀 Download one manga and hand the files to a publish target
+// options: resolveOptions() output, plus optionally
+//   target  – publish target (default: library if outDir, else Telegram)
+//   events  – EventEmitter receiving progress events:
+//             selected, chapter:start, page:done, chapter:done,
+//             chapter:failed, bundle:created, bundle:published, done
+//   workDir – scratch directory (default ./manga_download)
+//   feed    – chapters to choose from instead of the full feed
+//   signal  – AbortSignal, checked between chapters and between files
+// Files are sealed and published while later chapters download.
+// Returns a structured result; failures throw, nothing exits.
+// ─────────────────────────────────────────────────────────────
+export async function runDownload(options) {
+  const {
+    mangaInput, useDataSaver, maxChapters, outputFormat, cbzGrouping,
+    imageOptions, chapterPrefs, dryRun, keep, signal = null
+  } = options;
+  // Targets may follow progress too (Telegram keeps a live status message)
+  const events = options.events ?? new EventEmitter();
+  const target = options.target ?? createTarget(options);
+  const emit = (event, payload) => events.emit(event, payload);
+  // --keep leaves chapter pages, bundles and covers on disk for inspection or `manga post`
+  const discard = path => {
+    if (!keep) rmSync(path, { recursive: true, force: true });
+  };
+
+  if (imageOptions.enabled) console.log(`🎨 Image processing: ${describeImageOptions(imageOptions)}`);
+  console.log(`🌐 Languages: ${chapterPrefs.languages.join(' > ')} | pick: ${chapterPrefs.pick}`);
+
+  const mangaId = parseMangaId(mangaInput);
+  console.log(`📚 Manga ID: ${mangaId}`);
+
+  try {
+    if (options.mangadexLogin) await loginMangaDex(options.mangadexLogin);
+    const meta = await fetchMangaMetadata(mangaId);
+    if (options.titleOverride) {
+      console.log(`🏷️ Title override: ${meta.title} → ${options.titleOverride}`);
+      meta.title = options.titleOverride;
+      meta.safeTitle = sanitize(options.titleOverride);
+    }
+    console.log(`📝 Authors: ${meta.authors.join(', ') || 'Unknown'}`);
+    console.log(`🎨 Artists: ${meta.artists.join(', ') || 'Unknown'}`);
+
+    // Fetch the whole chapter feed (the library pages through it 100 at a time)
+    const allChapters = options.feed ?? await fetchFullFeed(meta.manga, chapterPrefs.languages);
+    console.log(`📚 Feed: ${allChapters.length} chapter entries${options.feed ? ' (recent only)' : ''}`);
+
+    const pendingChapters = target.pending ? target.pending(mangaId, allChapters) : allChapters;
+    const validChapters = selectChapters(pendingChapters, maxChapters, chapterPrefs);
+    console.log(`✅ ${validChapters.length} chapters selected`);
+    emit('selected', {
+      mangaId,
+      title: meta.title,
+      chapters: validChapters.map(ch => ({ chapterId: ch.id, label: ch._label, langCode: ch.translatedLanguage }))
+    });
+
+    const result = {
+      mangaId,
+      title: meta.title,
+      target: target.name,
+      dryRun,
+      selected: validChapters.length,
+      delivered: 0,
+      files: [],
+      failed: [],
+      imageSavings: { before: 0, after: 0 }
+    };
+
+    if (dryRun) {
+      console.log('\n🧪 === DRY RUN (nothing is downloaded or posted) ===');
+      for (const ch of validChapters) {
+        console.log(`  ${ch._label} · ${describeVersion(ch)}`);
+      }
+      emit('done', result);
+      return result;
+    }
+
+    const workDir = join(options.workDir ?? join(process.cwd(), 'manga_download'), mangaId);
+    const covers = await resolveCovers(mangaId, workDir);
+    await target.begin?.({ meta, chapters: validChapters, covers, events });
+
+    // ⚠️ Nothing selected (nothing new, or no chapters at all): stop after the info post
+    if (validChapters.length === 0) {
+      console.warn(pendingChapters.length < allChapters.length
+        ? '\n✅ No new chapters since last run'
+        : '\n⚠️ No chapters found');
+      console.log('🧹 Cleaning up temporary files...');
+      discard(workDir);
+      console.log('✅ Done!');
+      emit('done', result);
+      return result;
+    }
+
+    console.log('\n📚 === PROCESSING CHAPTERS ===');
+    const mangaDir = join(workDir, 'chapters');
+    const bundleDir = join(workDir, 'bundles');
+    mkdirSync(mangaDir, { recursive: true });
+    mkdirSync(bundleDir, { recursive: true });
+
+    // Files are published while later chapters download; at most about
+    // one upload's worth of finished chapters waits on disk
+    const sizeLimit = target.sizeLimit ?? Infinity;
+    const queue = new ChapterQueue(Number.isFinite(sizeLimit) ? sizeLimit : ChapterQueue.ONE_CHAPTER);
+    const publishing = publishFiles(packageChapters(queue, {
+      format: outputFormat,
+      grouping: cbzGrouping,
+      sizeLimit,
+      bundleZips: target.bundleZips ?? true,
+      meta,
+      coverPath: covers.coverPaths[0] || null,
+      outDir: bundleDir,
+      safeTitle: meta.safeTitle,
+      discard
+    }), {
+      target, result, emit, discard, signal,
+      // Only real posts count as read, not files written to a local library
+      markRead: options.markRead && !options.outDir
+    });
+    // A failed upload or cancel on the publishing side stops the downloads too
+    publishing.catch(err => queue.abort(err));
+
+    try {
+      for (const [idx, chapter] of validChapters.entries()) {
+        signal?.throwIfAborted();
+        queue.throwIfAborted();
+        const label = chapter._label;
+        const langCode = chapter.translatedLanguage;
+        const langTag = chapter._isEnglish ? '' : ` [${langCode}]`;
+        // The chapter ID keeps kept pages from being reused for another version of the same chapter
+        const chapDir = join(mangaDir, `${label}${langTag} ${chapter.id.slice(0, 8)}`);
+        const fail = (reason, failedPages = 0) => {
+          const entry = { chapterId: chapter.id, label, langCode, reason };
+          result.failed.push(entry);
+          emit('chapter:failed', { ...entry, failedPages });
+        };
+
+        console.log(`[${idx + 1}/${validChapters.length}] ${label}`);
+        emit('chapter:start', { chapterId: chapter.id, label, langCode, index: idx + 1, total: validChapters.length });
+
+        let downloaded;
+        try {
+          const { pages, failed } = await downloadChapter(chapter.id, chapDir, useDataSaver, {
+            onPage: page => emit('page:done', { chapterId: chapter.id, label, ...page })
+          });
+          if (failed.length > 0) {
+            // Completed pages stay on disk; the chapter is reported instead of bundled incomplete
+            const missingList = failed.map(i => i + 1).join(', ');
+            console.error(`  ❌ ${label}: ${failed.length}/${pages.length} pages missing (${missingList})`);
+            fail(`pages ${missingList} of ${pages.length} missing`, failed.length);
+            continue;
+          }
+
+          if (imageOptions.enabled) {
+            const { before, after } = await processChapterImages(chapDir, imageOptions);
+            result.imageSavings.before += before;
+            result.imageSavings.after += after;
+            const saved = before > 0 ? Math.round((1 - after / before) * 100) : 0;
+            console.log(`  🗜️ ${label}: ${(before/1024/1024).toFixed(1)} MB → ${(after/1024/1024).toFixed(1)} MB (${saved}% saved)`);
+          }
+
+          downloaded = {
+            chapterId: chapter.id, dir: chapDir, chapNum: chapter._chapNum, chapKey: chapter._chapKey, label, langCode,
+            volume: chapter.volume, title: chapter.title, pages: pages.length, size: dirSize(chapDir)
+          };
+          if (outputFormat === 'zip') {
+            // Zip right away so only one chapter's loose pages sit on disk
+            downloaded = await zipChapter(downloaded);
+            discard(chapDir);
+          }
+          emit('chapter:done', { chapterId: chapter.id, label, langCode, pages: pages.length, size: downloaded.size });
+        } catch (chapErr) {
+          console.error(`  ❌ ${chapErr.message}`);
+          fail(chapErr.message);
+          continue;
+        }
+        // Outside the per-chapter try: a failed upload or cancel stops the run
+        await queue.push(downloaded);
+      }
+      queue.close();
+    } catch (err) {
+      queue.abort(err);
+      await publishing.catch(() => {});
+      throw err;
+    }
+    await publishing;
+
+    await flushAtHomeReports();
+    if (result.failed.length > 0) {
+      console.warn(`⚠️ ${result.failed.length} chapter(s) failed`);
+    }
+    await target.finish?.(result);
+    if (result.failed.length > 0) {
+      // Bundled chapters are gone already; what is left in chapters/ are the
+      // incomplete ones, kept so the next local run only fetches their missing pages
+      for (const entry of readdirSync(workDir)) {
+        if (entry !== 'chapters') discard(join(workDir, entry));
+      }
+      const kept = readdirSync(mangaDir).length;
+      if (kept === 0) discard(workDir);
+      else if (!keep) console.log(`♻️ Kept ${kept} incomplete chapter(s) in ${mangaDir} for the next run`);
+    } else {
+      discard(workDir);
+    }
+    if (keep) console.log(`📁 Kept work files in ${workDir}`);
+
+    emit('done', result);
+    return result;
+  } catch (err) {
+    await flushAtHomeReports();
+    await target.fail?.(err);
+    throw err;
+  }
+}
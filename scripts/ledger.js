@@ -0,0 +1,124 @@
+// scripts/ledger.js
+import { readFileSync, existsSync } from 'fs';
+import { join } from 'path';
+import { writeJsonAtomic } from './fsutil.js';
+
+// One JSON file per manga so parallel queue jobs never write the same file
+const LEDGER_DIR = process.env.LEDGER_DIR || join(process.cwd(), 'state', 'ledger');
+
+function ledgerPath(mangaId) {
+  return join(LEDGER_DIR, `${mangaId}.json`);
+}
+
+// ─────────────────────────────────────────────────────────────
+// 📒 Load / save the delivery ledger for one manga
+// ─────────────────────────────────────────────────────────────
+export function loadLedger(mangaId) {
+  const path = ledgerPath(mangaId);
+  const empty = { mangaId, title: null, roots: {}, topics: {}, chapters: {} };
+  if (!existsSync(path)) return empty;
+
+  try {
+    const data = JSON.parse(readFileSync(path, 'utf8'));
+    return { ...empty, ...data, roots: data.roots || {}, topics: data.topics || {}, chapters: data.chapters || {} };
+  } catch (err) {
+    console.warn(`⚠️ Ledger ${path} unreadable (${err.message}), starting fresh`);
+    return empty;
+  }
+}
+
+export function saveLedger(ledger) {
+  writeJsonAtomic(ledgerPath(ledger.mangaId), { ...ledger, updatedAt: new Date().toISOString() });
+}
+
+// ─────────────────────────────────────────────────────────────
+// 🧵 Root Telegram post (info card) per destination
+// ─────────────────────────────────────────────────────────────
+// Forum topics of one chat each get their own root post
+export function rootKey(chatId, threadId) {
+  return threadId ? `${chatId}/${threadId}` : String(chatId);
+}
+
+export function getRootMessageId(ledger, chatId, threadId = null) {
+  return ledger.roots[rootKey(chatId, threadId)] || null;
+}
+
+export function setRootMessageId(ledger, chatId, messageId, threadId = null) {
+  ledger.roots[rootKey(chatId, threadId)] = messageId;
+}
+
+// Topics created for this manga, one per chat
+export function getTopicId(ledger, chatId) {
+  return ledger.topics[String(chatId)] || null;
+}
+
+export function setTopicId(ledger, chatId, threadId) {
+  ledger.topics[String(chatId)] = threadId;
+}
+
+// A destination's thread: fixed, or the topic created for it earlier
+export function destinationThreadId(ledger, dest) {
+  return dest.topicId || (dest.autoTopic ? getTopicId(ledger, dest.chatId) : null);
+}
+
+// ─────────────────────────────────────────────────────────────
+// ✅ Delivered chapters, tracked per destination
+// ─────────────────────────────────────────────────────────────
+function deliveredTo(record, key) {
+  if (record.to) return key in record.to;
+  // Ledgers from before multiple destinations recorded a single chat
+  return rootKey(record.chatId, record.threadId) === key;
+}
+
+// Keys come from chapterKey(); early ledgers only stored the chapter number
+export function deliveredChapterKeys(ledger, chatId, threadId = null) {
+  const key = rootKey(chatId, threadId);
+  return new Set(
+    Object.values(ledger.chapters)
+      .filter(c => deliveredTo(c, key))
+      .map(c => c.chapKey ?? String(c.chapNum))
+  );
+}
+
+// A chapter counts as delivered if its ID was posted there, or any version of the same release was
+export function isDelivered(ledger, chapterId, chapKey, { chatId, threadId = null },
+                            deliveredKeys = deliveredChapterKeys(ledger, chatId, threadId)) {
+  const record = ledger.chapters[chapterId];
+  return Boolean(record && deliveredTo(record, rootKey(chatId, threadId))) || deliveredKeys.has(chapKey);
+}
+
+export function markDelivered(ledger, chapters, { chatId, threadId = null, messageId }) {
+  const deliveredAt = new Date().toISOString();
+  for (const chap of chapters) {
+    const { chatId: oldChat, threadId: oldThread, messageId: oldMessage, to, ...record } = ledger.chapters[chap.chapterId] || {};
+    const previous = to ?? (oldChat ? { [rootKey(oldChat, oldThread)]: oldMessage } : {});
+    ledger.chapters[chap.chapterId] = {
+      ...record,
+      chapNum: chap.chapNum,
+      chapKey: chap.chapKey,
+      langCode: chap.langCode,
+      to: { ...previous, [rootKey(chatId, threadId)]: messageId },
+      deliveredAt
+    };
+  }
+}
+
+// ─────────────────────────────────────────────────────────────
+// 🔀 Merge two versions of one ledger (concurrent workflow runs)
+// Both sides' roots, topics and deliveries are kept; where both set
+// the same key, `preferred` wins.
+// ─────────────────────────────────────────────────────────────
+export function mergeLedgers(other, preferred) {
+  const chapters = { ...other.chapters };
+  for (const [id, record] of Object.entries(preferred.chapters || {})) {
+    const previous = chapters[id];
+    chapters[id] = previous?.to && record.to ? { ...previous, ...record, to: { ...previous.to, ...record.to } } : record;
+  }
+  return {
+    ...other,
+    ...preferred,
+    roots: { ...other.roots, ...preferred.roots },
+    topics: { ...other.topics, ...preferred.topics },
+    chapters
+  };
+}
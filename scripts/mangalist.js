@@ -0,0 +1,299 @@
+// scripts/mangalist.js
+import { readFileSync, writeFileSync, existsSync } from 'fs';
+import { CHAPTER_PICKS } from './selection.js';
+import { parseRanges } from './chapters.js';
+import { OUTPUT_FORMATS, CBZ_GROUPINGS } from './packaging.js';
+import { parseDestinations } from './targets.js';
+
+// ─────────────────────────────────────────────────────────────
+// 📋 Manga list schema
+// A list is a JSON array; each entry is a MangaDex link/ID string
+// or an object with the fields below. Every field maps onto the
+// env setting of the same meaning, so a list entry behaves like
+// a manual workflow run with those inputs.
+// ─────────────────────────────────────────────────────────────
+const UUID_RE = /[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}/i;
+const LANGUAGE_RE = /^([a-z]{2,3}(-[a-z]{2,4})?|\*)$/i;
+
+// Defaults for list entries: the whole series, compressed images
+const ENTRY_DEFAULTS = { USE_DATA_SAVER: 'true', MAX_CHAPTERS: '1000000' };
+
+function fail(message) {
+  throw new Error(message);
+}
+
+function asString(value) {
+  if (typeof value === 'number') return String(value);
+  if (typeof value !== 'string' || !value.trim()) fail('must be a non-empty string');
+  return value.trim();
+}
+
+// "en,ru" and ["en", "ru"] are both accepted
+function asList(value) {
+  const items = Array.isArray(value) ? value : typeof value === 'string' ? value.split(',') : fail('must be a list or comma-separated string');
+  const list = items.map(v => (typeof v === 'string' ? v.trim() : fail('must only contain strings'))).filter(Boolean);
+  if (list.length === 0) fail('must not be empty');
+  return list;
+}
+
+function oneOf(choices) {
+  return value => {
+    const choice = asString(value).toLowerCase();
+    if (!choices.includes(choice)) fail(`must be one of: ${choices.join(', ')}`);
+    return choice;
+  };
+}
+
+function positiveInt(value) {
+  const str = asString(value);
+  if (!/^\d+$/.test(str) || parseInt(str, 10) < 1) fail('must be a positive integer');
+  return str;
+}
+
+function ranges(name) {
+  return value => {
+    const spec = asString(value);
+    parseRanges(spec, name);
+    return spec;
+  };
+}
+
+// URL path segments MangaDex uses for each kind of link
+const LINK_KINDS = { title: ['title', 'manga'], author: ['author'], list: ['list'] };
+export const AUTHOR_ROLES = ['any', 'author', 'artist'];
+
+// Links are pasted from the browser; spaces, slugs and bare IDs all reduce to the canonical URL
+export function normalizeLink(raw, kind = 'title') {
+  if (typeof raw !== 'string') fail(`must be a MangaDex ${kind} link or ID`);
+  const compact = raw.replace(/\s+/g, '');
+  const found = compact.match(/mangadex\.org\/([a-z]+)\//i)?.[1]?.toLowerCase();
+  if (found && !LINK_KINDS[kind].includes(found)) fail(`is a MangaDex ${found} link, not ${/^[aeiou]/.test(kind) ? 'an' : 'a'} ${kind}`);
+  const id = compact.match(UUID_RE)?.[0];
+  if (!id) fail(`"${raw}" has no MangaDex ${kind} ID`);
+  return `https://mangadex.org/${kind}/${id.toLowerCase()}`;
+}
+
+const FIELDS = {
+  link: { env: 'MANGA_INPUT', parse: value => normalizeLink(value) },
+  // Every title by this author/artist, with the entry's other settings
+  author: { env: 'AUTHOR_INPUT', parse: value => normalizeLink(value, 'author') },
+  role: { env: 'AUTHOR_ROLE', parse: oneOf(AUTHOR_ROLES) },
+  // Every title in a custom list (MDList), or followed by the logged-in account
+  list: { env: 'LIST_INPUT', parse: value => normalizeLink(value, 'list') },
+  follows: { env: 'FOLLOWS_INPUT', parse: value => (value === true ? 'true' : fail('must be true')) },
+  title: { env: 'TITLE_OVERRIDE', parse: asString },
+  languages: {
+    env: 'LANGUAGES',
+    parse: value => asList(value).map(lang => (LANGUAGE_RE.test(lang) ? lang.toLowerCase() : fail(`has an invalid language code "${lang}"`))).join(',')
+  },
+  preferred_groups: { env: 'PREFERRED_GROUPS', parse: value => asList(value).join(',') },
+  blocked_groups: { env: 'BLOCKED_GROUPS', parse: value => asList(value).join(',') },
+  chapter_pick: { env: 'CHAPTER_PICK', parse: oneOf(CHAPTER_PICKS) },
+  chapters: { env: 'CHAPTERS', parse: ranges('chapter range') },
+  volumes: { env: 'VOLUMES', parse: ranges('volume range') },
+  max_chapters: { env: 'MAX_CHAPTERS', parse: positiveInt },
+  use_data_saver: { env: 'USE_DATA_SAVER', parse: value => (typeof value === 'boolean' ? String(value) : fail('must be true or false')) },
+  format: { env: 'OUTPUT_FORMAT', parse: oneOf(OUTPUT_FORMATS) },
+  cbz_grouping: { env: 'CBZ_GROUPING', parse: oneOf(CBZ_GROUPINGS) },
+  chat_id: {
+    env: 'TELEGRAM_CHAT_ID',
+    parse: value => {
+      const chat = asString(value);
+      if (!/^-?\d+$/.test(chat) && !/^@\w{5,}$/.test(chat)) fail('must be a numeric chat ID or @channelname');
+      return chat;
+    }
+  },
+  topic_id: {
+    env: 'TELEGRAM_TOPIC_ID',
+    parse: value => (value === 'auto' ? 'auto' : positiveInt(value))
+  },
+  // ["-100123/auto", { "chat_id": "@mirror", "topic_id": 7 }] or "-100123/auto,@mirror"
+  destinations: {
+    env: 'TELEGRAM_DESTINATIONS',
+    parse: value => {
+      const parts = (Array.isArray(value) ? value : [value]).map(dest => {
+        if (typeof dest === 'string') return dest;
+        if (!dest || typeof dest !== 'object' || dest.chat_id === undefined) fail('entries must be "chat[/topic]" strings or { chat_id, topic_id, create_topic } objects');
+        const topic = dest.create_topic ? 'auto' : dest.topic_id;
+        return topic !== undefined && topic !== null ? `${dest.chat_id}/${topic}` : String(dest.chat_id);
+      });
+      const spec = parts.join(',');
+      if (parseDestinations(spec).length === 0) fail('must list at least one chat');
+      return spec;
+    }
+  }
+};
+
+export const LIST_FIELDS = Object.keys(FIELDS);
+// Each entry names exactly one of these; all but "link" expand into several titles
+const SOURCE_FIELDS = ['link', 'author', 'list', 'follows'];
+
+// ─────────────────────────────────────────────────────────────
+// 📍 Line numbers: one pass over the raw text records where each
+// array element and each key inside an object entry starts
+// ─────────────────────────────────────────────────────────────
+function locateEntries(text) {
+  const entries = [];
+  let line = 1;
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+  let expectElement = false;
+  let stringStart = 0;
+  let lastKey = null;
+
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (c === '\\') escaped = true;
+      else if (c === '"') {
+        inString = false;
+        if (depth === 2) lastKey = { name: JSON.parse(text.slice(stringStart, i + 1)), line };
+      } else if (c === '\n') line++;
+      continue;
+    }
+    if (c === '\n') {
+      line++;
+      continue;
+    }
+    if (/\s/.test(c)) continue;
+
+    if (depth === 1 && expectElement && c !== ']') {
+      entries.push({ line, keys: {} });
+      expectElement = false;
+    }
+    if (c === '"') {
+      inString = true;
+      stringStart = i;
+    } else if (c === '[' || c === '{') {
+      depth++;
+      if (depth === 1) expectElement = true;
+    } else if (c === ']' || c === '}') {
+      depth--;
+    } else if (c === ',' && depth === 1) {
+      expectElement = true;
+    } else if (c === ':' && depth === 2 && lastKey) {
+      entries[entries.length - 1].keys[lastKey.name] ??= lastKey.line;
+      lastKey = null;
+    }
+  }
+  return entries;
+}
+
+function lineAt(text, position) {
+  return text.slice(0, position).split('\n').length;
+}
+
+// ─────────────────────────────────────────────────────────────
+// ✅ Validate a list
+// Returns { errors, entries } where file-level problems (bad JSON,
+// not an array) are in errors and each entry carries its own
+// { index, line, input, env, errors, notes }.
+// ─────────────────────────────────────────────────────────────
+export function validateList(text) {
+  let items;
+  try {
+    items = JSON.parse(text);
+  } catch (err) {
+    const position = err.message.match(/at position (\d+)/)?.[1];
+    return { errors: [{ line: position ? lineAt(text, Number(position)) : 1, message: err.message }], entries: [] };
+  }
+  if (!Array.isArray(items)) {
+    return { errors: [{ line: 1, message: 'a manga list must be a JSON array' }], entries: [] };
+  }
+
+  const locations = locateEntries(text);
+  const firstSeen = new Map();
+
+  const entries = items.map((item, index) => {
+    const where = locations[index] || { line: 1, keys: {} };
+    const entry = { index, line: where.line, input: null, env: { ...ENTRY_DEFAULTS }, errors: [], notes: [] };
+    // A pasted MDList URL is a list entry, any other string a title
+    const fields = typeof item === 'string'
+      ? (/mangadex\.org\/list\//i.test(item) ? { list: item } : { link: item })
+      : item;
+    const keyLine = key => where.keys[key] ?? where.line;
+
+    if (!fields || typeof fields !== 'object' || Array.isArray(fields)) {
+      entry.errors.push({ line: where.line, message: 'entry must be a link string or an object' });
+      return entry;
+    }
+    const sources = SOURCE_FIELDS.filter(key => fields[key] !== undefined);
+    if (sources.length === 0) entry.errors.push({ line: where.line, message: `missing "link" (or ${SOURCE_FIELDS.slice(1).map(k => `"${k}"`).join(', ')})` });
+    if (sources.length > 1) entry.errors.push({ line: where.line, message: `use only one of ${sources.map(k => `"${k}"`).join(', ')}` });
+    if (fields.role !== undefined && fields.author === undefined) entry.errors.push({ line: keyLine('role'), message: '"role" needs "author"' });
+    if (fields.title !== undefined && fields.link === undefined) entry.errors.push({ line: keyLine('title'), message: '"title" only applies to a single "link"' });
+    entry.input = typeof fields[sources[0]] === 'string' ? fields[sources[0]] : null;
+
+    for (const [key, value] of Object.entries(fields)) {
+      const field = FIELDS[key];
+      if (!field) {
+        entry.errors.push({ line: keyLine(key), message: `unknown field "${key}" (allowed: ${LIST_FIELDS.join(', ')})` });
+        continue;
+      }
+      if (value === null) continue;
+      try {
+        entry.env[field.env] = field.parse(value);
+      } catch (err) {
+        entry.errors.push({ line: keyLine(key), message: `"${key}" ${err.message}` });
+      }
+    }
+
+    const link = entry.env.MANGA_INPUT;
+    if (link) {
+      if (/\s/.test(entry.input.trim())) {
+        entry.notes.push({ line: keyLine('link'), message: `link contains spaces, using ${link}` });
+      }
+      if (firstSeen.has(link)) {
+        entry.notes.push({ line: keyLine('link'), message: `duplicate of the entry on line ${firstSeen.get(link)}, it will be skipped` });
+      } else {
+        firstSeen.set(link, entry.line);
+      }
+    }
+    return entry;
+  });
+
+  return { errors: [], entries };
+}
+
+export function readMangaList(listPath) {
+  return validateList(readFileSync(listPath, 'utf8'));
+}
+
+export function formatIssue(listPath, issue) {
+  return `${listPath}:${issue.line}: ${issue.message}`;
+}
+
+// ─────────────────────────────────────────────────────────────
+// ➕ Append titles to a list file (created if missing)
+// entries: [{ link, title }]. Titles already in the list are
+// skipped; existing entries and formatting are left untouched.
+// ─────────────────────────────────────────────────────────────
+function slugify(title) {
+  return title.toLowerCase().normalize('NFKD').replace(/[\u0300-\u036f]/g, '').replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').substring(0, 60);
+}
+
+export function appendToList(listPath, entries) {
+  const text = existsSync(listPath) ? readFileSync(listPath, 'utf8') : '[]\n';
+  const list = validateList(text);
+  if (list.errors.length > 0) throw new Error(list.errors.map(e => formatIssue(listPath, e)).join('\n'));
+
+  const known = new Set(list.entries.map(e => e.env.MANGA_INPUT).filter(Boolean));
+  const added = [];
+  for (const entry of entries) {
+    const link = normalizeLink(entry.link);
+    if (known.has(link)) continue;
+    known.add(link);
+    const slug = entry.title ? slugify(entry.title) : '';
+    added.push(slug ? `${link}/${slug}` : link);
+  }
+  if (added.length === 0) return { added: 0, skipped: entries.length };
+
+  const end = text.lastIndexOf(']');
+  const before = text.slice(0, end).replace(/\s*$/, '');
+  const lines = added.map(link => `  ${JSON.stringify(link)}`).join(',\n');
+  const separator = list.entries.length > 0 ? ',\n' : '\n';
+  writeFileSync(listPath, `${before}${separator}${lines}\n${text.slice(end)}`);
+  return { added: added.length, skipped: entries.length - added.length };
+}
@@ -0,0 +1,43 @@
+#!/usr/bin/env node
+// scripts/merge-ledgers.js
+// Used by the workflows when `git pull --rebase` stops on a conflict:
+// two runs delivered chapters of the same title at the same time.
+// Conflicted ledger files are merged (this run's entries win) and
+// staged; any other conflict exits 1 so the caller aborts the rebase.
+import { execFileSync } from 'child_process';
+import { writeFileSync } from 'fs';
+import { mergeLedgers } from './ledger.js';
+
+const git = (...args) => execFileSync('git', args, { encoding: 'utf8' });
+
+// Stage 2 is the upstream side of a rebase, stage 3 the commit being replayed
+function readStage(stage, path) {
+  try {
+    return JSON.parse(git('show', `:${stage}:${path}`));
+  } catch {
+    return null;
+  }
+}
+
+function main() {
+  const conflicted = git('diff', '--name-only', '--diff-filter=U').split('\n').filter(Boolean);
+  const others = conflicted.filter(path => !/^state\/ledger\/[^/]+\.json$/.test(path));
+  if (others.length > 0) {
+    console.error(`❌ Conflicts outside the ledger: ${others.join(', ')}`);
+    process.exit(1);
+  }
+
+  for (const path of conflicted) {
+    const upstream = readStage(2, path);
+    const ours = readStage(3, path);
+    if (!upstream || !ours) {
+      console.error(`❌ ${path}: one side is missing or not valid JSON`);
+      process.exit(1);
+    }
+    writeFileSync(path, JSON.stringify(mergeLedgers(upstream, ours), null, 2) + '\n');
+    git('add', path);
+    console.log(`🔀 Merged ${path}`);
+  }
+}
+
+main();
@@ -0,0 +1,282 @@
+// scripts/metadata.js
+import { Manga, Cover, Author } from 'mangadex-full-api';
+import { createWriteStream, mkdirSync, rmSync, statSync } from 'fs';
+import { pipeline } from 'stream/promises';
+import { join } from 'path';
+import sharp from 'sharp';
+import { createHash } from 'crypto';
+import { scheduledFetch } from './scheduler.js';
+
+// ─────────────────────────────────────────────────────────────
+// 🖼️ Thumbnail creation
+// ─────────────────────────────────────────────────────────────
+async function createThumbnail(sourcePath, destPath) {
+  try {
+    await sharp(sourcePath)
+      .resize(108, 108)
+      .jpeg({ quality: 80 })
+      .toFile(destPath);
+    return destPath;
+  } catch (err) {
+    console.warn(`⚠️ Thumbnail creation failed: ${err.message}`);
+    return null;
+  }
+}
+
+// ─────────────────────────────────────────────────────────────
+// 📥 Download single file with retry
+// ─────────────────────────────────────────────────────────────
+async function downloadCover(coverUrl, destPath) {
+  for (let i = 0; i < 3; i++) {
+    try {
+      const res = await scheduledFetch(coverUrl, { timeoutMs: 60000 });
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      const writer = createWriteStream(destPath);
+      await pipeline(res.body, writer);
+      return destPath;
+    } catch {
+      if (i === 2) return null;
+      await new Promise(r => setTimeout(r, 300));
+    }
+  }
+}
+
+// ─────────────────────────────────────────────────────────────
+// 🔐 Calculate file hash for deduplication
+// ─────────────────────────────────────────────────────────────
+async function getFileHash(filePath) {
+  const { readFile } = await import('fs/promises');
+  const data = await readFile(filePath);
+  return createHash('md5').update(data).digest('hex');
+}
+
+// ─────────────────────────────────────────────────────────────
+// 🔤 File name sanitize
+// ─────────────────────────────────────────────────────────────
+export function sanitize(str) {
+  return str.replace(/[\\/:*?"<>|]/g, '_').trim().substring(0, 100);
+}
+
+// ─────────────────────────────────────────────────────────────
+// 🌏 Format alt titles - JP/CN only
+// ─────────────────────────────────────────────────────────────
+function formatAltTitles(altTitles, limit = 3) {
+  if (!altTitles || altTitles.length === 0) return null;
+  
+  const filtered = altTitles.filter(t => {
+    const lang = Object.keys(t)[0]?.toLowerCase();
+    return ['ja', 'jp'].includes(lang) || ['zh', 'cn', 'zh-cn', 'zh-tw'].includes(lang);
+  });
+  
+  const titles = filtered
+    .map(t => {
+      const lang = Object.keys(t)[0].toLowerCase();
+      const title = t[lang];
+      if (['ja', 'jp'].includes(lang)) return `[JP] ${title}`;
+      else if (['zh-tw'].includes(lang)) return `[CN-TW] ${title}`;
+      else return `[CN] ${title}`;
+    })
+    .slice(0, limit);
+  
+  return titles.length > 0 ? titles.join(' • ') : null;
+}
+
+// ─────────────────────────────────────────────────────────────
+// 🌐 Get localized name (for Manga titles, descriptions, etc.)
+// ─────────────────────────────────────────────────────────────
+export function getLocalizedName(localized, lang = 'en') {
+  if (!localized) return 'Unknown';
+  if (typeof localized === 'object') {
+    return localized[lang] || localized['en'] || Object.values(localized)[0] || 'Unknown';
+  }
+  return localized || 'Unknown';
+}
+
+// ─────────────────────────────────────────────────────────────
+// ✅ Resolve author/artist IDs to names
+// ─────────────────────────────────────────────────────────────
+async function resolveRelationshipNames(relationships, type = 'author') {
+  if (!relationships || relationships.length === 0) return [];
+  
+  const names = [];
+  const idsToFetch = [];
+  
+  for (const rel of relationships) {
+    if (rel.attributes && rel.attributes.name) {
+      const name = rel.attributes.name;
+      if (name && name.trim()) {
+        names.push(name.trim());
+      }
+    } else if (rel.id) {
+      idsToFetch.push(rel.id);
+    }
+  }
+  
+  if (idsToFetch.length > 0) {
+    console.log(`📥 Fetching ${idsToFetch.length} ${type}(s)...`);
+    const fetched = await Promise.all(
+      idsToFetch.map(id => Author.get(id).catch(() => null))
+    );
+    
+    for (const author of fetched) {
+      if (author && author.name) {
+        const name = author.name.trim();
+        if (name && name !== 'Unknown') {
+          names.push(name);
+        }
+      }
+    }
+  }
+  
+  return [...new Set(names)];
+}
+
+// ─────────────────────────────────────────────────────────────
+// 🔗 MangaDex URL or bare UUID → manga ID
+// ─────────────────────────────────────────────────────────────
+export function parseMangaId(input) {
+  return input.match(/([0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12})/i)?.[1] || input.trim();
+}
+
+// ─────────────────────────────────────────────────────────────
+// 📚 Manga metadata (info card, ComicInfo.xml, EPUB/PDF)
+// ─────────────────────────────────────────────────────────────
+export async function fetchMangaMetadata(mangaId) {
+  const manga = await Manga.get(mangaId, {
+    authors: true,
+    artists: true,
+    tags: true
+  });
+  
+  if (!manga) throw new Error('Manga not found');
+  
+  const title = manga.localTitle || getLocalizedName(manga.title);
+  
+  console.log('📥 Resolving authors...');
+  const authors = await resolveRelationshipNames(manga.authors, 'author');
+  
+  console.log('📥 Resolving artists...');
+  const artists = await resolveRelationshipNames(manga.artists, 'artist');
+  
+  const tagNames = group => (manga.tags || [])
+    .filter(t => t.group === group)
+    .map(t => getLocalizedName(t.name))
+    .filter(n => n && n !== 'Unknown');
+  
+  return {
+    manga,
+    mangaId,
+    title,
+    safeTitle: sanitize(title),
+    description: getLocalizedName(manga.description) || 'No description',
+    authors,
+    artists,
+    originalLanguage: manga.originalLanguage,
+    genres: tagNames('genre'),
+    themes: tagNames('theme'),
+    status: manga.status ? manga.status.charAt(0).toUpperCase() + manga.status.slice(1) : 'Unknown',
+    year: manga.year,
+    altTitles: formatAltTitles(manga.altTitles),
+    availableLanguages: manga.availableTranslatedLanguages || []
+  };
+}
+
+// ─────────────────────────────────────────────────────────────
+// 🖼️ Volume covers (main cover as fallback), deduplicated by hash
+// Returns local cover paths plus a Telegram thumbnail of the first
+// ─────────────────────────────────────────────────────────────
+export async function resolveCovers(mangaId, workDir, { maxCovers = 10 } = {}) {
+  console.log('📥 Fetching all covers...');
+  const allCovers = await Cover.getMangaCovers(mangaId);
+  // ✅ First: Try to get volume covers (skip main)
+  const seenFileNames = new Set();
+  let volumeCovers = allCovers
+    .filter(c => c?.fileName && c.volume !== null)
+    .filter(c => {
+      if (seenFileNames.has(c.fileName)) {
+        console.log(`⚠️ Skipping duplicate fileName: ${c.fileName}`);
+        return false;
+      }
+      seenFileNames.add(c.fileName);
+      return true;
+    })
+    .sort((a, b) => {
+      return parseFloat(a.volume) - parseFloat(b.volume);
+    });
+
+  console.log(`📥 Found ${volumeCovers.length} volume cover(s)`);
+
+  // ✅ FALLBACK: If no volume covers, use main cover
+  let usingMainCover = false;
+  if (volumeCovers.length === 0) {
+    console.log('⚠️ No volume covers found, falling back to main cover...');
+
+    const mainCovers = allCovers
+      .filter(c => c?.fileName && c.volume === null)
+      .filter(c => {
+        if (seenFileNames.has(c.fileName)) {
+          return false;
+        }
+        seenFileNames.add(c.fileName);
+        return true;
+      });
+
+    if (mainCovers.length > 0) {
+      volumeCovers = mainCovers;
+      usingMainCover = true;
+      console.log(`✅ Found ${mainCovers.length} main cover(s) as fallback`);
+    } else {
+      console.warn('⚠️ No covers found at all (neither volume nor main)');
+    }
+  }
+
+  // Log cover details
+  volumeCovers.forEach((c, i) => {
+    console.log(`  Cover ${i + 1}: ${c.fileName} (volume: ${c.volume || 'main'})`);
+  });
+
+  mkdirSync(workDir, { recursive: true });
+
+  // Download covers with hash-based deduplication
+  const coverPaths = [];
+  const seenHashes = new Set();
+  const thumbPath = join(workDir, 'thumb.jpg');
+
+  const maxCoversToDownload = Math.min(volumeCovers.length, maxCovers);
+
+  for (let i = 0; i < maxCoversToDownload; i++) {
+    const cover = volumeCovers[i];
+    const coverUrl = `https://uploads.mangadex.org/covers/${mangaId}/${cover.fileName}`;
+    const coverPath = join(workDir, `cover_${i}.jpg`);
+
+    console.log(`📥 Downloading cover ${i + 1}/${maxCoversToDownload}: ${cover.fileName}`);
+    const result = await downloadCover(coverUrl, coverPath);
+
+    if (result) {
+      const stats = statSync(result);
+      if (stats.size > 1000) {
+        const hash = await getFileHash(result);
+
+        if (seenHashes.has(hash)) {
+          console.warn(`  ⚠️ Duplicate image detected (hash: ${hash.substring(0, 8)}...), skipping`);
+          rmSync(result, { force: true });
+        } else {
+          seenHashes.add(hash);
+          coverPaths.push(result);
+          console.log(`  ✅ Downloaded (${(stats.size / 1024).toFixed(1)} KB, hash: ${hash.substring(0, 8)}...)`);
+
+          if (coverPaths.length === 1) {
+            console.log('🖼️ Creating thumbnail...');
+            await createThumbnail(result, thumbPath);
+          }
+        }
+      } else {
+        console.warn(`  ⚠️ File too small, skipping: ${result}`);
+        rmSync(result, { force: true });
+      }
+    }
+  }
+
+  console.log(`📊 Total unique covers downloaded: ${coverPaths.length}`);
+  return { coverPaths, thumbPath: coverPaths.length > 0 ? thumbPath : null, usingMainCover };
+}
@@ -0,0 +1,269 @@
+// scripts/packaging.js
+import { createWriteStream, renameSync, rmSync } from 'fs';
+import { join } from 'path';
+import archiver from 'archiver';
+import { groupCbzFiles, createCbz } from './cbz.js';
+import { groupBooks, createBooks } from './ebook.js';
+import { rangeLabel } from './chapters.js';
+
+export const OUTPUT_FORMATS = ['zip', 'cbz', 'epub', 'pdf'];
+export const CBZ_GROUPINGS = ['chapter', 'volume'];
+
+function langTag(chap) {
+  return chap.langCode === 'en' ? '' : ` [${chap.langCode}]`;
+}
+
+// Local header, data descriptor and central directory record per stored entry
+const ZIP_ENTRY_OVERHEAD = 128;
+const ZIP_END_RECORD = 22;
+
+function zipEntrySize(name, size) {
+  return size + ZIP_ENTRY_OVERHEAD + 2 * Buffer.byteLength(name);
+}
+
+// ─────────────────────────────────────────────────────────────
+// 🗜️ Create ZIP archive (pages are stored: images are already
+// compressed, and deflating them only costs time)
+// ─────────────────────────────────────────────────────────────
+async function createZip(sourceDir, outputPath) {
+  return new Promise((resolve, reject) => {
+    const output = createWriteStream(outputPath);
+    const archive = archiver('zip', { store: true });
+    output.on('close', () => resolve(archive.pointer()));
+    archive.on('error', reject);
+    archive.pipe(output);
+    archive.directory(sourceDir, false);
+    archive.finalize();
+  });
+}
+
+// Zips a downloaded chapter next to its page folder; the caller decides when the pages go
+export async function zipChapter(chap) {
+  const zipPath = join(chap.dir, '..', `${chap.label}${langTag(chap)}.zip`);
+  const size = await createZip(chap.dir, zipPath);
+  return { ...chap, zipPath, size };
+}
+
+// ─────────────────────────────────────────────────────────────
+// 🚰 Downloaded chapters waiting to be packaged
+// The download loop push()es, packaging iterates. push() waits while
+// more than maxBytes of chapters are queued, so downloads running
+// ahead of a slow upload cannot fill the disk. close() ends the
+// stream; abort(err) also makes pending and later push() calls throw.
+// ─────────────────────────────────────────────────────────────
+export class ChapterQueue {
+  // No byte budget: the next chapter waits until the queued one is taken
+  static ONE_CHAPTER = 0;
+
+  constructor(maxBytes) {
+    this.maxBytes = maxBytes;
+    this.items = [];
+    this.bytes = 0;
+    this.closed = false;
+    this.error = null;
+    this.wake = null;
+  }
+
+  // Resolves the current waiter (consumer or producer, only one side ever waits)
+  notify() {
+    const wake = this.wake;
+    this.wake = null;
+    wake?.();
+  }
+
+  wait() {
+    return new Promise(resolve => { this.wake = resolve; });
+  }
+
+  throwIfAborted() {
+    if (this.error) throw this.error;
+  }
+
+  async push(chap) {
+    while (!this.error && this.items.length > 0 && this.bytes + chap.size > this.maxBytes) {
+      await this.wait();
+    }
+    if (this.error) throw this.error;
+    this.items.push(chap);
+    this.bytes += chap.size;
+    this.notify();
+  }
+
+  close() {
+    this.closed = true;
+    this.notify();
+  }
+
+  abort(err) {
+    this.error ??= err;
+    this.closed = true;
+    this.notify();
+  }
+
+  async *[Symbol.asyncIterator]() {
+    while (true) {
+      if (this.error) throw this.error;
+      if (this.items.length > 0) {
+        const chap = this.items.shift();
+        this.bytes -= chap.size;
+        this.notify();
+        yield chap;
+      } else if (this.closed) {
+        return;
+      } else {
+        await this.wait();
+      }
+    }
+  }
+}
+
+// ─────────────────────────────────────────────────────────────
+// 📦 Nested bundles: chapter ZIPs streamed into one open ZIP,
+// sealed when the next chapter would push it past the size limit
+// ─────────────────────────────────────────────────────────────
+function openBundle(outDir, index) {
+  const path = join(outDir, `.bundle-${index}.zip.part`);
+  const archive = archiver('zip', { store: true });
+  const output = createWriteStream(path);
+  const closed = new Promise((resolve, reject) => {
+    output.on('close', resolve);
+    output.on('error', reject);
+    archive.on('error', reject);
+  });
+  closed.catch(() => {}); // awaited in sealBundle()
+  archive.pipe(output);
+  return { path, archive, output, closed, chapters: [], size: ZIP_END_RECORD };
+}
+
+// Resolves once the entry is fully read, so its source file can be removed
+function addToBundle(bundle, chap) {
+  const name = `${chap.label}${langTag(chap)}.zip`;
+  return new Promise((resolve, reject) => {
+    const onEntry = entry => {
+      if (entry.name !== name) return;
+      bundle.archive.off('entry', onEntry);
+      resolve();
+    };
+    bundle.archive.on('entry', onEntry);
+    bundle.closed.catch(reject);
+    bundle.archive.file(chap.zipPath, { name });
+    bundle.chapters.push(chap);
+    bundle.size += zipEntrySize(name, chap.size);
+  });
+}
+
+async function sealBundle(bundle, outDir, safeTitle) {
+  bundle.archive.finalize();
+  await bundle.closed;
+  const range = rangeLabel(bundle.chapters[0], bundle.chapters[bundle.chapters.length - 1]);
+  const name = `${safeTitle} - ${range}.zip`;
+  const path = join(outDir, name);
+  renameSync(bundle.path, path);
+  return { path, name, label: range, chapters: bundle.chapters, size: bundle.archive.pointer() };
+}
+
+async function* zipBundles(chapters, { sizeLimit, outDir, safeTitle, discard }) {
+  let bundle = null;
+  let index = 0;
+  try {
+    for await (const chap of chapters) {
+      const zipped = chap.zipPath ? chap : await zipChapter(chap);
+      const entrySize = zipEntrySize(`${zipped.label}${langTag(zipped)}.zip`, zipped.size);
+      if (bundle && bundle.size + entrySize > sizeLimit) {
+        const file = await sealBundle(bundle, outDir, safeTitle);
+        bundle = null;
+        yield { ...file, caption: `Part: ${index}`, index };
+      }
+      bundle ??= openBundle(outDir, ++index);
+      await addToBundle(bundle, zipped);
+      // The chapter now lives in the bundle; only one chapter ZIP is on disk at a time
+      discard(zipped.zipPath);
+    }
+    if (bundle) {
+      const file = await sealBundle(bundle, outDir, safeTitle);
+      bundle = null;
+      yield { ...file, caption: `Part: ${index}`, index };
+    }
+  } finally {
+    // Cancelled or failed mid-bundle: drop the half-written file
+    if (bundle) {
+      bundle.archive.abort();
+      bundle.output.destroy();
+      rmSync(bundle.path, { force: true });
+    }
+  }
+}
+
+// ─────────────────────────────────────────────────────────────
+// 📦 Package downloaded chapters into publishable files
+// chapters: iterable or async iterable (a ChapterQueue while
+//           downloads are still running) of { chapterId, dir,
+//           zipPath?, chapNum, chapKey, label, langCode, volume,
+//           title, pages, size }
+// Yields each file as soon as it is complete, so it can be published
+// and removed while later chapters are still downloading. Files are
+// numbered by index; the total is unknown until the input ends.
+// bundleZips: false gives one ZIP per chapter instead of size-limited
+// bundles. discard(path) removes intermediate chapter ZIPs.
+// A file still over sizeLimit (a single chapter too big on its own)
+// is yielded with oversize set to a reason instead of being uploaded.
+// ─────────────────────────────────────────────────────────────
+export async function* packageChapters(chapters, options) {
+  const { sizeLimit = Infinity } = options;
+  for await (const file of packageFiles(chapters, options)) {
+    // E-books set their own reason (the size after re-encoding)
+    if (file.oversize || file.size <= sizeLimit) {
+      yield file;
+      continue;
+    }
+    const limit = `${Math.round(sizeLimit / 1024 / 1024)} MB`;
+    const oversize = file.chapters.length === 1
+      ? `chapter exceeds ${limit} (${(file.size / 1024 / 1024).toFixed(1)} MB)`
+      : `${file.name} exceeds ${limit}`;
+    yield { ...file, oversize };
+  }
+}
+
+async function* packageFiles(chapters, {
+  format = 'zip', grouping = 'chapter', sizeLimit = Infinity, bundleZips = true,
+  meta, coverPath = null, outDir, safeTitle, discard = () => {}
+}) {
+  if (format === 'zip') {
+    if (bundleZips) {
+      yield* zipBundles(chapters, { sizeLimit, outDir, safeTitle, discard });
+      return;
+    }
+    let index = 0;
+    for await (const chap of chapters) {
+      const zipped = chap.zipPath ? chap : await zipChapter(chap);
+      yield {
+        path: zipped.zipPath,
+        name: `${safeTitle} - ${zipped.label}${langTag(zipped)}.zip`,
+        label: zipped.label,
+        chapters: [zipped],
+        size: zipped.size,
+        caption: zipped.label,
+        index: ++index
+      };
+    }
+    return;
+  }
+
+  if (format === 'cbz') {
+    let index = 0;
+    for await (const group of groupCbzFiles(chapters, grouping, sizeLimit)) {
+      const cbz = await createCbz(group, meta, outDir, safeTitle);
+      yield { ...cbz, caption: cbz.label, index: ++index };
+    }
+    return;
+  }
+
+  let index = 0;
+  for await (const book of groupBooks(chapters, sizeLimit)) {
+    const files = await createBooks(format, book.chapters, { meta, coverPath, outDir, safeTitle, sizeLimit });
+    for (const file of files) {
+      index++;
+      yield { ...file, caption: `${file.label} · Part: ${index}`, index };
+    }
+  }
+}
@@ -0,0 +1,153 @@
+// scripts/pages.js
+import { Chapter } from 'mangadex-full-api';
+import { createWriteStream, mkdirSync, rmSync, statSync, readdirSync } from 'fs';
+import { pipeline } from 'stream/promises';
+import { join } from 'path';
+import sharp from 'sharp';
+import { scheduledFetch, discardBody } from './scheduler.js';
+import {
+  reportPageFetch, isCacheHit,
+  recordNodeResult, isNodeBad, resetNode
+} from './athome.js';
+
+const CHAPTER_DOWNLOAD_PASSES = 3; // Each pass asks for a fresh at-home server
+
+// ─────────────────────────────────────────────────────────────
+// ✅ Check a page on disk is complete and decodable
+// ─────────────────────────────────────────────────────────────
+export async function isValidPage(filePath) {
+  try {
+    if (statSync(filePath).size < 1024) return false;
+    const meta = await sharp(filePath).metadata();
+    return Boolean(meta.width && meta.height);
+  } catch {
+    return false;
+  }
+}
+
+function pagePrefix(pageIdx) {
+  return String(pageIdx + 1).padStart(3, '0');
+}
+
+// Pages may change extension between servers (data vs data-saver), so match by number only
+function findPageOnDisk(chapDir, pageIdx) {
+  const prefix = `${pagePrefix(pageIdx)}.`;
+  const file = readdirSync(chapDir).find(f => f.startsWith(prefix));
+  return file ? join(chapDir, file) : null;
+}
+
+// ─────────────────────────────────────────────────────────────
+// 📥 Download chapter pages, keeping whatever already succeeded
+// Returns the indices of pages that are still missing
+// ─────────────────────────────────────────────────────────────
+async function downloadPages(pages, chapDir, onPage) {
+  mkdirSync(chapDir, { recursive: true });
+  
+  const missing = [];
+  for (const [pageIdx] of pages.entries()) {
+    const existing = findPageOnDisk(chapDir, pageIdx);
+    if (existing && await isValidPage(existing)) {
+      onPage?.({ index: pageIdx, total: pages.length, bytes: statSync(existing).size, reused: true });
+      continue;
+    }
+    if (existing) rmSync(existing, { force: true });
+    missing.push(pageIdx);
+  }
+  
+  if (missing.length < pages.length) {
+    console.log(`♻️ ${pages.length - missing.length}/${pages.length} pages already on disk`);
+  }
+  if (missing.length === 0) return [];
+  console.log(`📥 Downloading ${missing.length} pages...`);
+  
+  const downloadPage = async (pageUrl, pageIdx) => {
+    const ext = pageUrl.split('.').pop()?.split('?')[0] || 'jpg';
+    const destPath = join(chapDir, `${pagePrefix(pageIdx)}.${ext}`);
+    
+    for (let attempt = 0; attempt < 3; attempt++) {
+      // Another page already proved this node unhealthy; leave it for the next pass
+      if (isNodeBad(pageUrl)) return false;
+      
+      let startedAt = Date.now();
+      let res = null;
+      try {
+        res = await scheduledFetch(pageUrl, { 
+          timeoutMs: 60000,
+          headers: { 'User-Agent': 'MangaBot/1.0' },
+          onStart: () => { startedAt = Date.now(); }
+        });
+        
+        if (!res.ok) {
+          discardBody(res);
+          throw new Error(`HTTP ${res.status}: ${res.statusText}`);
+        }
+        if (!res.body) throw new Error('Empty response body');
+        
+        const writer = createWriteStream(destPath);
+        await pipeline(res.body, writer);
+        
+        // Verify file integrity; a compressed response's length is not the file's
+        const bytes = statSync(destPath).size;
+        const expected = parseInt(res.headers.get('content-length') || '', 10);
+        if (!res.headers.get('content-encoding') && Number.isFinite(expected) && bytes !== expected) {
+          throw new Error('Truncated download');
+        }
+        if (!await isValidPage(destPath)) throw new Error('File too small/corrupted');
+        
+        reportPageFetch({ url: pageUrl, success: true, bytes, duration: Date.now() - startedAt, cached: isCacheHit(res) });
+        recordNodeResult(pageUrl, true);
+        onPage?.({ index: pageIdx, total: pages.length, bytes, reused: false });
+        return true;
+      } catch (err) {
+        console.warn(`⚠️ Page ${pageIdx + 1} attempt ${attempt + 1} failed: ${err.message}`);
+        rmSync(destPath, { force: true }); // Never leave a partial page behind
+        reportPageFetch({ url: pageUrl, success: false, bytes: 0, duration: Date.now() - startedAt, cached: isCacheHit(res) });
+        
+        if (recordNodeResult(pageUrl, false)) return false;
+        
+        if (attempt === 2) {
+          console.error(`❌ Page ${pageIdx + 1} failed after 3 retries`);
+          return false;
+        }
+        
+        // Exponential backoff before retry
+        await new Promise(r => setTimeout(r, 2000 * Math.pow(2, attempt)));
+      }
+    }
+  };
+
+  // Queue every page at once; the scheduler caps concurrency per image host
+  const results = await Promise.all(missing.map(idx => downloadPage(pages[idx], idx)));
+  return missing.filter((idx, i) => !results[i]);
+}
+
+// ─────────────────────────────────────────────────────────────
+// 🔁 Download a whole chapter, re-requesting the at-home server
+// for a retry pass over only the missing pages
+// onPage({ index, total, bytes, reused }) fires for every page on disk
+// ─────────────────────────────────────────────────────────────
+export async function downloadChapter(chapterId, chapDir, useDataSaver, { onPage } = {}) {
+  const fullChapter = await Chapter.get(chapterId);
+  let pages = [];
+  let failed = [];
+  // Retry passes see earlier pages again; report each page once
+  const reported = new Set();
+  const reportPage = info => {
+    if (reported.has(info.index)) return;
+    reported.add(info.index);
+    onPage?.(info);
+  };
+  
+  for (let pass = 1; pass <= CHAPTER_DOWNLOAD_PASSES; pass++) {
+    if (pass > 1) {
+      console.log(`🔁 Retry pass ${pass}/${CHAPTER_DOWNLOAD_PASSES}: ${failed.length} missing page(s), requesting a fresh at-home server...`);
+    }
+    // Retry passes force port 443: nodes on custom ports are the usual culprits
+    pages = await fullChapter.getReadablePages(useDataSaver, pass > 1);
+    if (pages.length > 0) resetNode(pages[0]);
+    failed = await downloadPages(pages, chapDir, reportPage);
+    if (failed.length === 0) break;
+  }
+  
+  return { pages, failed };
+}
@@ -0,0 +1,331 @@
+// scripts/posting.js
+import { existsSync } from 'fs';
+import { sendMessage, sendDocument, sendPhoto, sendMediaGroup } from './telegram.js';
+
+// 50 MB on api.telegram.org, 2 GB on a local Bot API server
+export { TELEGRAM_FILE_LIMIT } from './telegram.js';
+
+// ─────────────────────────────────────────────────────────────
+// 🖼️ Send multiple local photos as Telegram album (media group)
+// ─────────────────────────────────────────────────────────────
+async function sendMediaGroupWithLocalFiles(chatId, filePaths, replyToMessageId = null, caption = null, threadId = null) {
+  if (!process.env.TELEGRAM_BOT_TOKEN || filePaths.length === 0) {
+    console.warn('⚠️ Cannot send album: missing token or no files');
+    return null;
+  }
+  
+  const MAX_MEDIA = 10;
+  const filesToSend = filePaths.slice(0, MAX_MEDIA);
+  
+  console.log(`📤 Sending ${filesToSend.length} images as album...`);
+  try {
+    const messages = await sendMediaGroup(chatId, filesToSend, { caption, replyTo: replyToMessageId, threadId });
+    console.log('✅ Album sent successfully');
+    return messages;
+  } catch (err) {
+    console.warn(`⚠️ ${err.message}`);
+    return null;
+  }
+}
+
+// ─────────────────────────────────────────────────────────────
+// 📤 Send single document with thumbnail (returns the Message or null)
+// ─────────────────────────────────────────────────────────────
+export async function sendDocumentWithThumb(chatId, filePath, fileName, caption, replyToMessageId, thumbPath, threadId = null) {
+  if (!process.env.TELEGRAM_BOT_TOKEN) return null;
+  try {
+    return await sendDocument(chatId, filePath, {
+      fileName,
+      caption,
+      replyTo: replyToMessageId,
+      threadId,
+      thumbPath: thumbPath && existsSync(thumbPath) ? thumbPath : null
+    });
+  } catch (err) {
+    console.warn(`⚠️ ${err.message}`);
+    return null;
+  }
+}
+
+// ─────────────────────────────────────────────────────────────
+// 💬 Send text message (returns its message_id or null)
+// ─────────────────────────────────────────────────────────────
+export async function sendText(chatId, text, replyToMessageId = null, disablePreview = true, threadId = null) {
+  if (!process.env.TELEGRAM_BOT_TOKEN) {
+    console.warn('⚠️ Cannot send text: missing bot token');
+    return null;
+  }
+  try {
+    const message = await sendMessage(chatId, text, { replyTo: replyToMessageId, threadId, disablePreview });
+    console.log('✅ Text message sent successfully');
+    return message.message_id;
+  } catch (err) {
+    console.warn(`⚠️ sendText failed: ${err.message}`);
+    return null;
+  }
+}
+
+// ─────────────────────────────────────────────────────────────
+// 🔤 HTML escape
+// ─────────────────────────────────────────────────────────────
+export function escapeHtml(str) {
+  if (!str) return '';
+  return str.replace(/[<>&"']/g, c => ({'<':'&lt;','>':'&gt;','&':'&amp;','"':'&quot;',"'":'&#39;'}[c]));
+}
+
+// ─────────────────────────────────────────────────────────────
+// ✂️ Split lines into messages under Telegram's 4096-character
+// limit (with room to spare for entities). Lines are kept whole,
+// so callers cap anything unbounded inside a line.
+// ─────────────────────────────────────────────────────────────
+export const MESSAGE_CHUNK_CHARS = 3800;
+
+export function chunkLines(lines) {
+  const chunks = [];
+  let current = null;
+  for (const line of lines) {
+    if (current !== null && current.length + line.length + 1 > MESSAGE_CHUNK_CHARS) {
+      chunks.push(current);
+      current = null;
+    }
+    current = current === null ? line : `${current}\n${line}`;
+  }
+  if (current !== null) chunks.push(current);
+  return chunks;
+}
+
+// ─────────────────────────────────────────────────────────────
+// 📊 Final run summary (uploaded vs failed chapters)
+// ─────────────────────────────────────────────────────────────
+export function buildRunSummary(uploadedCount, partCount, failedChapters, imageSavings = null) {
+  const lines = [`<b>📊 Run summary</b>`];
+  lines.push(`✅ Uploaded: ${uploadedCount} chapter(s) in ${partCount} part(s)`);
+  
+  if (imageSavings?.before > 0) {
+    const saved = Math.round((1 - imageSavings.after / imageSavings.before) * 100);
+    lines.push(`🗜️ Images: ${(imageSavings.before/1024/1024).toFixed(1)} MB → ${(imageSavings.after/1024/1024).toFixed(1)} MB (${saved}% saved)`);
+  }
+  
+  if (failedChapters.length > 0) {
+    lines.push(`❌ Failed: ${failedChapters.length} chapter(s)`);
+    // The summary replaces the progress message, so it has to fit in one
+    let length = lines.join('\n').length;
+    let shown = 0;
+    for (const f of failedChapters.slice(0, 30)) {
+      const langTag = f.langCode === 'en' ? '' : ` [${f.langCode}]`;
+      const reason = f.reason.length > 200 ? `${f.reason.slice(0, 199)}…` : f.reason;
+      const line = `• ${escapeHtml(f.label)}${langTag} — ${escapeHtml(reason)}`;
+      if (length + line.length + 1 > MESSAGE_CHUNK_CHARS) break;
+      lines.push(line);
+      length += line.length + 1;
+      shown++;
+    }
+    if (failedChapters.length > shown) lines.push(`<i>...and ${failedChapters.length - shown} more</i>`);
+  }
+  
+  return lines.join('\n');
+}
+
+// ─────────────────────────────────────────────────────────────
+// 📤 Send manga info with covers (SUPPORTS MULTIPLE POSTS)
+// ─────────────────────────────────────────────────────────────
+export async function sendMangaInfo(telegramChatId, mangaTitle, authors, artists, originalLanguage, 
+                              altTitles, validChapters, status, year, genres, themes, 
+                              description, coverPaths, threadId = null) {
+  console.log('\n📤 === SENDING MANGA INFO TO TELEGRAM ===');
+  
+  if (!telegramChatId) {
+    console.error('❌ TELEGRAM_CHAT_ID not set');
+    return null;
+  }
+  
+  if (!process.env.TELEGRAM_BOT_TOKEN) {
+    console.error('❌ TELEGRAM_BOT_TOKEN not set');
+    return null;
+  }
+  
+  const genresStr = genres.length > 0 ? genres.join(', ') : 'N/A';
+  const themesStr = themes.length > 0 ? themes.join(', ') : null;
+  
+  // ✅ Truncate description to fit within caption limit
+  const maxDescLength = 100;
+  const truncatedDesc = description.length > maxDescLength 
+    ? description.substring(0, maxDescLength).replace(/[<>&"']/g, c => ({'<':'&lt;','>':'&gt;','&':'&amp;','"':'&quot;',"'":'&#39;'}[c])) + '...' 
+    : escapeHtml(description);
+  
+  // ✅ Build caption SAFELY
+  const CAPTION_LIMIT = 900;
+  let infoText = `<b>${escapeHtml(mangaTitle)}</b>\n\n`;
+  
+  const sections = [];
+  
+  if (authors.length) {
+    sections.push(`<b>📝 Author:</b> ${escapeHtml(authors.slice(0, 5).join(', '))}${authors.length > 5 ? '...' : ''}`);
+  }
+  if (artists.length) {
+    sections.push(`<b>🎨 Artist:</b> ${escapeHtml(artists.slice(0, 5).join(', '))}${artists.length > 5 ? '...' : ''}`);
+  }
+  sections.push(`<b>🌐 Original Language:</b> <code>${originalLanguage}</code>`);
+  
+  if (altTitles) {
+    sections.push(`<b>Also known as:</b> <i>${escapeHtml(altTitles)}</i>`);
+  }
+  
+  sections.push(`<b>📖 Chapters:</b> ${validChapters.length} (${escapeHtml(status)})`);
+  sections.push(`<b>📅 Year:</b> ${year}`);
+  sections.push(`<b>🏷️ Genres:</b> <code>${escapeHtml(genresStr)}</code>`);
+  
+  if (themesStr) {
+    sections.push(`<b>✨ Themes:</b> <code>${escapeHtml(themesStr)}</code>`);
+  }
+  
+  sections.push(`<b>📄 Description</b>\n<blockquote><i>${truncatedDesc}</i></blockquote>`);
+  
+  if (validChapters.length === 0) {
+    sections.push(`⚠️ <i>No downloadable chapters available</i>`);
+  }
+  
+  // ✅ Build caption with length checking
+  for (const section of sections) {
+    const testText = infoText + section + '\n';
+    if (testText.length > CAPTION_LIMIT) {
+      console.log(`⚠️ Stopped adding sections at ${infoText.length} chars (limit: ${CAPTION_LIMIT})`);
+      break;
+    }
+    infoText = testText;
+  }
+  
+  infoText = ensureClosedTags(infoText);
+  console.log(`📝 Caption length: ${infoText.length} characters`);
+  
+  let rootMessageId = null;
+  
+  try {
+    if (coverPaths.length === 0) {
+      // ✅ No covers - send text only
+      console.log('📤 No covers, sending text only...');
+      rootMessageId = await sendText(telegramChatId, infoText, null, false, threadId);
+    } else if (coverPaths.length <= 10) {
+      // ✅ 1-10 covers - send single album/photo
+      if (coverPaths.length === 1) {
+        console.log('📤 Sending single cover with caption...');
+        try {
+          const message = await sendPhoto(telegramChatId, coverPaths[0], { caption: infoText, threadId });
+          rootMessageId = message.message_id;
+          console.log('✅ Posted manga info with single cover');
+        } catch (err) {
+          console.error(`❌ ${err.message}`);
+          rootMessageId = await sendText(telegramChatId, infoText, null, false, threadId);
+        }
+      } else {
+        console.log(`📤 Sending album with ${coverPaths.length} covers...`);
+        const albumResult = await sendMediaGroupWithLocalFiles(
+          telegramChatId, 
+          coverPaths, 
+          null, 
+          infoText,
+          threadId
+        );
+        if (albumResult) {
+          rootMessageId = albumResult[0]?.message_id;
+          console.log('✅ Posted manga info with cover album');
+        } else {
+          console.error('❌ sendMediaGroup failed');
+          rootMessageId = await sendText(telegramChatId, infoText, null, false, threadId);
+        }
+      }
+    } else {
+      // ✅ 11+ covers - send MULTIPLE albums
+      console.log(`📤 Sending ${coverPaths.length} covers in multiple posts...`);
+      
+      const MAX_PER_ALBUM = 10;
+      const totalPosts = Math.ceil(coverPaths.length / MAX_PER_ALBUM);
+      
+      for (let i = 0; i < coverPaths.length; i += MAX_PER_ALBUM) {
+        const batch = coverPaths.slice(i, i + MAX_PER_ALBUM);
+        const postNum = Math.floor(i / MAX_PER_ALBUM) + 1;
+        
+        // Caption only on first post
+        const caption = (postNum === 1) ? infoText : `<b>${escapeHtml(mangaTitle)}</b> - Part ${postNum}/${totalPosts}`;
+        
+        // Reply to first post (except first post itself)
+        const replyTo = (postNum === 1) ? null : rootMessageId;
+        
+        console.log(`📤 Sending post ${postNum}/${totalPosts} with ${batch.length} covers...`);
+        
+        let result;
+        if (batch.length === 1) {
+          result = await sendPhoto(telegramChatId, batch[0], { caption, replyTo, threadId })
+            .then(message => [message])
+            .catch(err => {
+              console.error(`❌ ${err.message}`);
+              return null;
+            });
+        } else {
+          result = await sendMediaGroupWithLocalFiles(
+            telegramChatId, 
+            batch, 
+            replyTo, 
+            caption,
+            threadId
+          );
+        }
+        
+        if (result) {
+          if (postNum === 1) {
+            rootMessageId = result[0]?.message_id;
+            console.log(`✅ Post ${postNum}/${totalPosts} sent (root message)`);
+          } else {
+            console.log(`✅ Post ${postNum}/${totalPosts} sent (reply to root)`);
+          }
+        } else {
+          console.error(`❌ Post ${postNum}/${totalPosts} failed`);
+        }
+        
+      }
+    }
+  } catch (err) {
+    console.error(`❌ Error sending manga info: ${err.message}`);
+    rootMessageId = await sendText(telegramChatId, infoText, null, false, threadId);
+  }
+  
+  if (rootMessageId) {
+    console.log(`✅ Manga info sent successfully (message_id: ${rootMessageId})`);
+  } else {
+    console.error('❌ Failed to send manga info');
+  }
+  
+  console.log('📤 === END MANGA INFO ===\n');
+  
+  return rootMessageId;
+}
+
+// ─────────────────────────────────────────────────────────────
+// 🔒 Ensure all HTML tags are properly closed
+// ─────────────────────────────────────────────────────────────
+function ensureClosedTags(text) {
+  // Simple check for common Telegram HTML tags
+  const tagPairs = [
+    ['<b>', '</b>'],
+    ['<i>', '</i>'],
+    ['<code>', '</code>'],
+    ['<blockquote>', '</blockquote>'],
+    ['<pre>', '</pre>'],
+    ['<a>', '</a>'],
+    ['<s>', '</s>'],
+    ['<u>', '</u>'],
+    ['<span>', '</span>'],
+  ];
+  
+  for (const [openTag, closeTag] of tagPairs) {
+    const openCount = (text.match(new RegExp(openTag.replace(/[<>]/g, '\\$&'), 'g')) || []).length;
+    const closeCount = (text.match(new RegExp(closeTag.replace(/[<>]/g, '\\$&'), 'g')) || []).length;
+    
+    // Add missing closing tags
+    for (let i = 0; i < openCount - closeCount; i++) {
+      text += closeTag;
+    }
+  }
+  
+  return text;
+}
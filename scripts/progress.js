@@ -0,0 +1,154 @@
+// scripts/progress.js
+import { sendText, escapeHtml } from './posting.js';
+import { editMessageText } from './telegram.js';
+
+// Telegram allows roughly one edit per second per chat; long runs don't need more than this
+const PROGRESS_INTERVAL_MS = parseInt(process.env.PROGRESS_INTERVAL_SECONDS || '10', 10) * 1000;
+
+function formatBytes(bytes) {
+  if (bytes >= 1024 * 1024 * 1024) return `${(bytes / 1024 / 1024 / 1024).toFixed(2)} GB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+function formatDuration(ms) {
+  const s = Math.round(ms / 1000);
+  if (s < 60) return `${s}s`;
+  if (s < 3600) return `${Math.floor(s / 60)}m ${s % 60}s`;
+  return `${Math.floor(s / 3600)}h ${Math.floor((s % 3600) / 60)}m`;
+}
+
+// ─────────────────────────────────────────────────────────────
+// 📊 Live status message, edited as runDownload() progress events arrive
+// Edits are throttled to one per interval (the latest state always
+// lands), and finish() turns the message into the final summary.
+// chapterIds limits the count to the chapters this message is for
+// (a destination that already has some of the selection).
+// ─────────────────────────────────────────────────────────────
+export class ProgressMessage {
+  constructor({ chatId, replyTo = null, threadId = null, title, total = 0, chapterIds = null, intervalMs = PROGRESS_INTERVAL_MS }) {
+    this.chatId = chatId;
+    this.replyTo = replyTo;
+    this.threadId = threadId;
+    this.title = title;
+    this.intervalMs = intervalMs;
+    this.messageId = null;
+
+    this.total = total;
+    this.chapterIds = chapterIds ? new Set(chapterIds) : null;
+    this.done = 0;
+    this.failed = 0;
+    this.failedPages = 0;
+    this.bytes = 0;
+    this.current = null;
+    this.upload = null;
+    this.startedAt = null;
+
+    this.lastEdit = 0;
+    this.timer = null;
+    this.editing = Promise.resolve();
+    this.finished = false;
+  }
+
+  async start() {
+    this.messageId = await sendText(this.chatId, this.render(), this.replyTo, true, this.threadId);
+    this.lastEdit = Date.now();
+    return this.messageId;
+  }
+
+  counts(chapterId) {
+    return !this.chapterIds || this.chapterIds.has(chapterId);
+  }
+
+  attach(events) {
+    events.on('selected', ({ chapters }) => {
+      this.total = chapters.filter(ch => this.counts(ch.chapterId)).length;
+      this.update();
+    });
+    events.on('chapter:start', ({ chapterId, label, index }) => {
+      if (!this.counts(chapterId)) return;
+      this.startedAt ??= Date.now();
+      this.current = { label, index, pages: 0, pageTotal: 0 };
+      this.update();
+    });
+    events.on('page:done', ({ chapterId, bytes, total }) => {
+      if (!this.counts(chapterId)) return;
+      this.bytes += bytes || 0;
+      if (this.current) {
+        this.current.pages++;
+        this.current.pageTotal = total;
+      }
+      this.update();
+    });
+    // Uploads overlap downloads, so the chapter line goes when the chapter ends
+    events.on('chapter:done', ({ chapterId }) => {
+      if (!this.counts(chapterId)) return;
+      this.done++;
+      this.current = null;
+      this.update();
+    });
+    events.on('chapter:failed', ({ chapterId, failedPages = 0 }) => {
+      if (!this.counts(chapterId)) return;
+      this.failed++;
+      this.failedPages += failedPages;
+      this.current = null;
+      this.update();
+    });
+    events.on('bundle:published', () => {
+      this.upload = { count: (this.upload?.count || 0) + 1 };
+      this.update();
+    });
+    return this;
+  }
+
+  eta() {
+    const finished = this.done + this.failed;
+    if (!this.startedAt || finished === 0 || finished >= this.total) return null;
+    return ((Date.now() - this.startedAt) / finished) * (this.total - finished);
+  }
+
+  render() {
+    const lines = [`⏳ <b>${escapeHtml(this.title)}</b>`];
+    lines.push(`📥 ${this.done}/${this.total} chapter(s)${this.failed ? ` · ❌ ${this.failed} failed` : ''}`);
+    if (this.current) {
+      const pages = this.current.pageTotal ? `: page ${this.current.pages}/${this.current.pageTotal}` : '';
+      lines.push(`📖 ${escapeHtml(this.current.label)}${pages}`);
+    }
+    if (this.failedPages) lines.push(`📄 ${this.failedPages} page(s) failed`);
+    const eta = this.eta();
+    lines.push(`💾 ${formatBytes(this.bytes)}${eta !== null ? ` · ⏱️ ETA ${formatDuration(eta)}` : ''}`);
+    if (this.upload) lines.push(`📤 ${this.upload.count} file(s) uploaded`);
+    return lines.join('\n');
+  }
+
+  update() {
+    if (!this.messageId || this.finished || this.timer) return;
+    const wait = Math.max(0, this.lastEdit + this.intervalMs - Date.now());
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.edit(this.render());
+    }, wait);
+  }
+
+  edit(text) {
+    this.lastEdit = Date.now();
+    // Edits are chained so a slow one never overwrites a newer state
+    this.editing = this.editing.then(async () => {
+      try {
+        await editMessageText(this.chatId, this.messageId, text);
+      } catch (err) {
+        console.warn(`⚠️ Progress edit failed: ${err.message}`);
+      }
+    });
+    return this.editing;
+  }
+
+  // Replaces the status with the final text; sent as a new reply if the status never made it
+  async finish(text) {
+    this.finished = true;
+    clearTimeout(this.timer);
+    this.timer = null;
+    if (!this.messageId) return sendText(this.chatId, text, this.replyTo, true, this.threadId);
+    await this.edit(text);
+    return this.messageId;
+  }
+}
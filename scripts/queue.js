@@ -0,0 +1,230 @@
+// scripts/queue.js
+import { readFileSync, existsSync, rmSync } from 'fs';
+import { join } from 'path';
+import { resolveOptions, runDownload, parseMangaId, parseDestinations } from './index.js';
+import { readMangaList, formatIssue } from './mangalist.js';
+import { sendText, escapeHtml, chunkLines } from './posting.js';
+import { expandSources, postSourceIndex } from './sources.js';
+import { writeJsonAtomic } from './fsutil.js';
+
+// Titles run side by side; page and API requests still share the per-host scheduler
+const QUEUE_CONCURRENCY = Math.max(1, parseInt(process.env.QUEUE_CONCURRENCY || '2', 10));
+const CHECKPOINT_PATH = process.env.QUEUE_CHECKPOINT || join(process.cwd(), 'state', 'queue', 'checkpoint.json');
+const SUMMARY_PATH = process.env.QUEUE_SUMMARY || join(process.cwd(), 'results', 'queue-summary.json');
+// A checkpoint older than this belongs to an abandoned run, not one to resume
+const CHECKPOINT_MAX_AGE_MS = parseFloat(process.env.QUEUE_CHECKPOINT_MAX_AGE_HOURS || '24') * 3600 * 1000;
+
+// ─────────────────────────────────────────────────────────────
+// 💾 Checkpoint: finished titles are skipped when a run resumes
+// ─────────────────────────────────────────────────────────────
+function loadCheckpoint(path, listPath) {
+  const fresh = { list: listPath, startedAt: new Date().toISOString(), titles: {} };
+  if (!existsSync(path)) return fresh;
+
+  try {
+    const data = JSON.parse(readFileSync(path, 'utf8'));
+    const age = Date.now() - new Date(data.startedAt).getTime();
+    if (data.list !== listPath || !(age < CHECKPOINT_MAX_AGE_MS)) {
+      console.log(`💾 Ignoring checkpoint from ${data.startedAt} (${data.list})`);
+      return fresh;
+    }
+    const done = Object.values(data.titles || {}).filter(t => t.status !== 'failed').length;
+    console.log(`💾 Resuming queue from ${data.startedAt}: ${done} title(s) already finished`);
+    return { ...fresh, ...data, titles: data.titles || {} };
+  } catch (err) {
+    console.warn(`⚠️ Checkpoint ${path} unreadable (${err.message}), starting fresh`);
+    return fresh;
+  }
+}
+
+// ─────────────────────────────────────────────────────────────
+// 📊 Per-title outcome: success, skipped (nothing new) or failed
+// ─────────────────────────────────────────────────────────────
+function describeResult(input, mangaId, result) {
+  const failedChapters = result.failed.map(f => ({ label: f.label, langCode: f.langCode, reason: f.reason }));
+  const publishFailures = result.files.filter(f => !f.ok).length;
+  // Files that reached some destinations but not all; the rest retry on the next run
+  const missedDestinations = result.files.filter(f => f.ok).flatMap(f => (f.failed || []).map(d => d.reason));
+  let status = 'success';
+  let reason = missedDestinations.length > 0 ? `${missedDestinations.length} destination upload(s) failed` : null;
+  if (failedChapters.length > 0 || publishFailures > 0) {
+    status = 'failed';
+    reason = [
+      failedChapters.length > 0 ? `${failedChapters.length} chapter(s) failed` : null,
+      publishFailures > 0 ? `${publishFailures} file(s) not published` : null
+    ].filter(Boolean).join(', ');
+  } else if (result.selected === 0) {
+    status = 'skipped';
+    reason = 'no new chapters';
+  }
+  return {
+    input,
+    mangaId,
+    title: result.title,
+    status,
+    reason,
+    selected: result.selected,
+    delivered: result.delivered,
+    files: result.files.length,
+    failedChapters,
+    missedDestinations
+  };
+}
+
+// Reasons can list every validation error; each stays on one short line
+const SUMMARY_REASON_CHARS = 300;
+
+function clip(text) {
+  return text.length > SUMMARY_REASON_CHARS ? `${text.slice(0, SUMMARY_REASON_CHARS - 1)}…` : text;
+}
+
+// One or more messages: long failure reasons would push one past Telegram's limit
+export function buildQueueSummaryMessages(summary) {
+  const icons = { success: '✅', skipped: '⏭️', failed: '❌' };
+  const { success, skipped, failed } = summary.totals;
+  const lines = [
+    `<b>📋 Queue summary</b> · <code>${escapeHtml(summary.list)}</code>`,
+    `✅ ${success} · ⏭️ ${skipped} · ❌ ${failed}`,
+    ''
+  ];
+  for (const t of summary.titles.slice(0, 50)) {
+    const detail = t.status === 'success'
+      ? `${t.delivered}/${t.selected} chapter(s)${t.reason ? ` · ⚠️ ${t.reason}` : ''}`
+      : t.reason;
+    lines.push(`${icons[t.status]} ${escapeHtml(clip(t.title || t.input))} — ${escapeHtml(clip(detail || ''))}`);
+  }
+  if (summary.titles.length > 50) lines.push(`<i>...and ${summary.titles.length - 50} more</i>`);
+  return chunkLines(lines);
+}
+
+// One index post per source entry; titles also listed elsewhere still link their root
+export async function postIndexes(items, { env, overrides }) {
+  const sources = new Map();
+  for (const item of items) {
+    if (!item.source || item.errors.length > 0) continue;
+    if (!sources.has(item.source.key)) sources.set(item.source.key, { source: item.source, item, works: [] });
+    sources.get(item.source.key).works.push({ mangaId: parseMangaId(item.env.MANGA_INPUT), title: item.workTitle });
+  }
+  for (const { source, item, works } of sources.values()) {
+    try {
+      const { destinations } = resolveOptions({ ...env, ...item.env, ...overrides });
+      await postSourceIndex(source, works, destinations);
+    } catch (err) {
+      console.error(`❌ Index for ${source.heading}: ${err.message}`);
+    }
+  }
+}
+
+// ─────────────────────────────────────────────────────────────
+// 🚦 Run a whole list in one process
+// env:       base settings (process.env plus CLI flags)
+// overrides: applied on top of every title's own settings
+// fresh:     ignore an existing checkpoint
+// list:      validateList() result to run instead of reading listPath
+//            (listPath then only names the run)
+// Author, list and follows entries are expanded into their titles on
+// every run, and each gets an index post linking the titles' roots.
+// ─────────────────────────────────────────────────────────────
+export async function runQueue(listPath, {
+  env = process.env,
+  overrides = {},
+  concurrency = QUEUE_CONCURRENCY,
+  fresh = false,
+  checkpointPath = CHECKPOINT_PATH,
+  summaryPath = SUMMARY_PATH,
+  list = readMangaList(listPath)
+} = {}) {
+  if (list.errors.length > 0) throw new Error(list.errors.map(e => formatIssue(listPath, e)).join('\n'));
+  const items = await expandSources(list.entries, { env });
+  for (const item of items) {
+    for (const note of item.notes) console.log(`ℹ️ ${formatIssue(listPath, note)}`);
+  }
+  const dryRun = (overrides.DRY_RUN ?? env.DRY_RUN) === 'true';
+  // Dry runs neither read nor write the checkpoint
+  const useCheckpoint = !dryRun;
+  const checkpoint = useCheckpoint && !fresh
+    ? loadCheckpoint(checkpointPath, listPath)
+    : { list: listPath, startedAt: new Date().toISOString(), titles: {} };
+
+  console.log(`📋 Queue: ${items.length} title(s) from ${listPath}, ${concurrency} at a time`);
+
+  const outcomes = new Array(items.length);
+  const seen = new Set();
+  let next = 0;
+
+  const runItem = async idx => {
+    const item = items[idx];
+    const input = item.env.MANGA_INPUT ?? item.input;
+    const tag = `[${idx + 1}/${items.length}]`;
+
+    // Invalid entries fail on their own; the rest of the list still runs
+    if (item.errors.length > 0) {
+      for (const e of item.errors) console.error(`❌ ${formatIssue(listPath, e)}`);
+      outcomes[idx] = { input, mangaId: null, title: null, status: 'failed', reason: item.errors.map(e => `line ${e.line}: ${e.message}`).join('; ') };
+      return;
+    }
+    const mangaId = parseMangaId(input);
+    if (seen.has(mangaId)) {
+      outcomes[idx] = { input, mangaId, title: null, status: 'skipped', reason: 'duplicate entry' };
+      return;
+    }
+    seen.add(mangaId);
+
+    const previous = checkpoint.titles[mangaId];
+    if (previous && previous.status !== 'failed') {
+      console.log(`\n💾 ${tag} ${previous.title || input} already finished in this run, skipping`);
+      outcomes[idx] = { ...previous, input, mangaId, status: 'skipped', reason: `checkpoint (${previous.status})` };
+      return;
+    }
+
+    console.log(`\n📋 === ${tag} ${input} ===`);
+    try {
+      const result = await runDownload(resolveOptions({ ...env, ...item.env, ...overrides }));
+      outcomes[idx] = describeResult(input, mangaId, result);
+    } catch (err) {
+      console.error(`❌ ${tag} ${err.message}`);
+      outcomes[idx] = { input, mangaId, title: null, status: 'failed', reason: err.message };
+    }
+
+    if (useCheckpoint) {
+      checkpoint.titles[mangaId] = { ...outcomes[idx], finishedAt: new Date().toISOString() };
+      writeJsonAtomic(checkpointPath, checkpoint);
+    }
+  };
+
+  const worker = async () => {
+    while (next < items.length) await runItem(next++);
+  };
+  await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, worker));
+
+  const summary = {
+    list: listPath,
+    startedAt: checkpoint.startedAt,
+    finishedAt: new Date().toISOString(),
+    dryRun,
+    totals: {
+      success: outcomes.filter(o => o.status === 'success').length,
+      skipped: outcomes.filter(o => o.status === 'skipped').length,
+      failed: outcomes.filter(o => o.status === 'failed').length
+    },
+    titles: outcomes
+  };
+
+  writeJsonAtomic(summaryPath, summary);
+  console.log(`\n📊 Queue summary written to ${summaryPath}`);
+  console.log(`✅ ${summary.totals.success} · ⏭️ ${summary.totals.skipped} · ❌ ${summary.totals.failed}`);
+
+  // Only a queue with failures is resumed; a clean run starts over next time
+  if (useCheckpoint && summary.totals.failed === 0) rmSync(checkpointPath, { force: true });
+
+  const outDir = overrides.OUTPUT_DIR ?? env.OUTPUT_DIR;
+  if (!dryRun && !outDir && process.env.TELEGRAM_BOT_TOKEN) await postIndexes(items, { env, overrides });
+
+  // The summary goes to the main chat, or the first of several destinations
+  const chatId = (overrides.TELEGRAM_CHAT_ID ?? env.TELEGRAM_CHAT_ID)
+    || parseDestinations(overrides.TELEGRAM_DESTINATIONS ?? env.TELEGRAM_DESTINATIONS)[0]?.chatId;
+  if (!dryRun && !outDir && chatId && process.env.TELEGRAM_BOT_TOKEN) {
+    for (const text of buildQueueSummaryMessages(summary)) await sendText(chatId, text);
+  }
+  return summary;
+}
@@ -0,0 +1,194 @@
+// scripts/scheduler.js
+import { proxyFetch } from './proxy.js';
+
+// Per-host budgets. MangaDex allows ~5 req/s per IP on the API; stay a bit under it.
+const HOST_LIMITS = {
+  'api.mangadex.org': {
+    rps: parseFloat(process.env.MD_API_RPS || '4'),
+    concurrency: parseInt(process.env.MD_API_CONCURRENCY || '3', 10)
+  },
+  'uploads.mangadex.org': { rps: 4, concurrency: 2 }
+};
+
+// Everything else (MangaDex@Home image nodes, report endpoint, ...)
+const DEFAULT_LIMITS = {
+  rps: parseFloat(process.env.IMAGE_RPS || '4'),
+  concurrency: parseInt(process.env.IMAGE_CONCURRENCY || '2', 10)
+};
+
+const MAX_429_RETRIES = 3;
+
+const sleep = ms => new Promise(r => setTimeout(r, ms));
+
+// ─────────────────────────────────────────────────────────────
+// 🪣 Token bucket (the old RateLimiter, now with bursts)
+// ─────────────────────────────────────────────────────────────
+export class TokenBucket {
+  constructor(requestsPerSecond = 3, burst = Math.max(1, Math.floor(requestsPerSecond))) {
+    this.rate = requestsPerSecond;
+    this.capacity = burst;
+    this.tokens = burst;
+    this.updatedAt = Date.now();
+  }
+
+  refill() {
+    const now = Date.now();
+    this.tokens = Math.min(this.capacity, this.tokens + ((now - this.updatedAt) / 1000) * this.rate);
+    this.updatedAt = now;
+  }
+
+  async take() {
+    while (true) {
+      this.refill();
+      if (this.tokens >= 1) {
+        this.tokens -= 1;
+        return;
+      }
+      await sleep(((1 - this.tokens) / this.rate) * 1000);
+    }
+  }
+}
+
+// ─────────────────────────────────────────────────────────────
+// 🚦 One queue per host: token bucket + concurrency cap + pauses
+// ─────────────────────────────────────────────────────────────
+class HostQueue {
+  constructor(host, { rps, concurrency }) {
+    this.host = host;
+    this.bucket = new TokenBucket(rps);
+    this.concurrency = concurrency;
+    this.active = 0;
+    this.waiters = [];
+    this.pausedUntil = 0;
+  }
+
+  async acquire() {
+    while (this.active >= this.concurrency) {
+      await new Promise(r => this.waiters.push(r));
+    }
+    this.active++;
+  }
+
+  release() {
+    this.active--;
+    this.waiters.shift()?.();
+  }
+
+  pause(ms, reason) {
+    const until = Date.now() + ms;
+    if (until <= this.pausedUntil) return;
+    this.pausedUntil = until;
+    console.warn(`⏳ ${this.host}: pausing ${(ms / 1000).toFixed(1)}s (${reason})`);
+  }
+
+  async waitForPause() {
+    while (this.pausedUntil > Date.now()) {
+      await sleep(this.pausedUntil - Date.now());
+    }
+  }
+
+  async run(task) {
+    await this.acquire();
+    try {
+      await this.waitForPause();
+      await this.bucket.take();
+      await this.waitForPause();
+      return await task();
+    } finally {
+      this.release();
+    }
+  }
+
+  // Read MangaDex (X-RateLimit-*) and standard (Retry-After) headers
+  observe(res) {
+    const retryAfterMs = parseRetryAfter(res.headers);
+    if (res.status === 429) {
+      this.pause(retryAfterMs ?? 5000, 'HTTP 429');
+      return;
+    }
+    const remaining = parseInt(res.headers.get('x-ratelimit-remaining') ?? '', 10);
+    if (remaining === 0) {
+      this.pause(retryAfterMs ?? 1000, 'rate limit window exhausted');
+    }
+  }
+}
+
+export function parseRetryAfter(headers) {
+  // MangaDex sends a unix timestamp (seconds) for when the window resets
+  const mdReset = parseInt(headers.get('x-ratelimit-retry-after') ?? '', 10);
+  if (Number.isFinite(mdReset)) return Math.max(0, mdReset * 1000 - Date.now());
+
+  const retryAfter = headers.get('retry-after');
+  if (!retryAfter) return null;
+  const seconds = parseInt(retryAfter, 10);
+  if (Number.isFinite(seconds)) return seconds * 1000;
+  const date = Date.parse(retryAfter);
+  return Number.isFinite(date) ? Math.max(0, date - Date.now()) : null;
+}
+
+// timeoutMs covers the request and reading its body, not the time spent
+// queued, so a body that stalls halfway is aborted too; the caller's own
+// signal still aborts it as well. onStart fires when the request leaves
+// the queue (for accurate timings)
+async function fetchWithTimeout(url, { timeoutMs, onStart, ...options }) {
+  onStart?.();
+  if (!timeoutMs) return proxyFetch(url, options);
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  // Forwarded by hand: AbortSignal.any() needs Node 20
+  const { signal } = options;
+  const forwardAbort = () => controller.abort(signal.reason);
+  if (signal?.aborted) forwardAbort();
+  else signal?.addEventListener('abort', forwardAbort, { once: true });
+  const done = () => {
+    clearTimeout(timer);
+    signal?.removeEventListener('abort', forwardAbort);
+  };
+  let res;
+  try {
+    res = await proxyFetch(url, { ...options, signal: controller.signal });
+  } catch (err) {
+    done();
+    throw err;
+  }
+  if (!res.body) done();
+  else for (const event of ['end', 'error', 'close']) res.body.once(event, done);
+  return res;
+}
+
+// Responses that are retried or rejected unread still hold their socket until drained
+export function discardBody(res) {
+  res?.body?.resume?.();
+}
+
+const queues = new Map();
+
+function getHostQueue(host) {
+  if (!queues.has(host)) {
+    queues.set(host, new HostQueue(host, HOST_LIMITS[host] || DEFAULT_LIMITS));
+  }
+  return queues.get(host);
+}
+
+// ─────────────────────────────────────────────────────────────
+// 🌐 fetch() through the scheduler (and the proxy pool)
+// ─────────────────────────────────────────────────────────────
+export async function scheduledFetch(url, options = {}) {
+  // url is a string or a URL object (mangadex-full-api builds URL objects)
+  const queue = getHostQueue(new URL(String(url)).host);
+
+  for (let attempt = 0; ; attempt++) {
+    const res = await queue.run(() => fetchWithTimeout(url, options));
+    queue.observe(res);
+    if (res.status !== 429 || attempt >= MAX_429_RETRIES) return res;
+    discardBody(res);
+    // The queue is paused now; the next run() waits it out before retrying
+  }
+}
+
+// ─────────────────────────────────────────────────────────────
+// 🔌 Route mangadex-full-api (which uses global fetch) through the scheduler
+// ─────────────────────────────────────────────────────────────
+export function installGlobalFetch() {
+  globalThis.fetch = (url, options) => scheduledFetch(url, options);
+}
@@ -0,0 +1,178 @@
+// scripts/search.js
+import { Manga, Author, Tag } from 'mangadex-full-api';
+import { getLocalizedName } from './metadata.js';
+import { loginIfConfigured } from './auth.js';
+
+export const CONTENT_RATINGS = ['safe', 'suggestive', 'erotica', 'pornographic'];
+export const PUBLICATION_STATUSES = ['ongoing', 'completed', 'hiatus', 'cancelled'];
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 100;
+
+function listOf(value) {
+  if (value === undefined || value === null) return [];
+  const items = Array.isArray(value) ? value : [value];
+  return items.flatMap(v => String(v).split(',')).map(v => v.trim()).filter(Boolean);
+}
+
+function checkChoices(values, choices, name) {
+  const lower = values.map(v => v.toLowerCase());
+  const bad = lower.find(v => !choices.includes(v));
+  if (bad) throw new Error(`Unknown ${name} "${bad}" (expected: ${choices.join(', ')})`);
+  return lower;
+}
+
+// ─────────────────────────────────────────────────────────────
+// 🎛️ Search filters
+// { title, author, tags, excludeTags, rating, status, language,
+//   year, limit }; list fields take arrays or comma-separated
+// strings. Tags and the author are given by name.
+// ─────────────────────────────────────────────────────────────
+export function normalizeFilters(raw) {
+  const filters = {
+    title: raw.title?.trim() || null,
+    author: raw.author?.trim() || null,
+    tags: listOf(raw.tags),
+    excludeTags: listOf(raw.excludeTags),
+    rating: checkChoices(listOf(raw.rating), CONTENT_RATINGS, 'content rating'),
+    status: checkChoices(listOf(raw.status), PUBLICATION_STATUSES, 'status'),
+    language: listOf(raw.language).map(l => l.toLowerCase()),
+    year: null,
+    limit: DEFAULT_LIMIT
+  };
+  if (raw.year !== undefined && raw.year !== null && raw.year !== '') {
+    if (!/^\d{4}$/.test(String(raw.year).trim())) throw new Error(`Invalid year "${raw.year}"`);
+    filters.year = parseInt(raw.year, 10);
+  }
+  if (raw.limit !== undefined && raw.limit !== null && raw.limit !== '') {
+    filters.limit = parseInt(raw.limit, 10);
+    if (!(filters.limit >= 1 && filters.limit <= MAX_LIMIT)) throw new Error(`Limit must be 1-${MAX_LIMIT}`);
+  }
+  const bad = filters.language.find(l => !/^[a-z]{2,3}(-[a-z]{2,4})?$/.test(l));
+  if (bad) throw new Error(`Invalid language code "${bad}"`);
+  if (!filters.title && !filters.author && filters.tags.length === 0 && !filters.year) {
+    throw new Error('Nothing to search for: give a title, author, tag or year');
+  }
+  return filters;
+}
+
+// "berserk tag:action -tag:romance status:completed year:1989" (bot messages)
+const QUERY_KEYS = {
+  author: 'author',
+  tag: 'tags',
+  '-tag': 'excludeTags',
+  rating: 'rating',
+  status: 'status',
+  lang: 'language',
+  year: 'year',
+  limit: 'limit'
+};
+
+export function parseSearchQuery(text) {
+  const raw = { tags: [], excludeTags: [] };
+  const words = [];
+  // key:"two words" keeps its spaces
+  for (const [, key, quoted, plain, word] of text.matchAll(/(-?\w+):(?:"([^"]*)"|(\S+))|(\S+)/g)) {
+    const field = key && QUERY_KEYS[key.toLowerCase()];
+    if (!field) {
+      words.push(word ?? `${key}:${quoted ?? plain}`);
+      continue;
+    }
+    const value = quoted ?? plain;
+    if (Array.isArray(raw[field])) raw[field].push(value);
+    else raw[field] = value;
+  }
+  raw.title = words.join(' ');
+  return normalizeFilters(raw);
+}
+
+// ─────────────────────────────────────────────────────────────
+// 🏷️ Names → MangaDex objects
+// ─────────────────────────────────────────────────────────────
+async function resolveTags(names) {
+  if (names.length === 0) return [];
+  const all = await Tag.getAllTags();
+  return names.map(name => {
+    const wanted = name.toLowerCase();
+    const tag = all.find(t => Object.values(t.name).some(n => n.toLowerCase() === wanted));
+    if (!tag) throw new Error(`Unknown tag "${name}"`);
+    return tag;
+  });
+}
+
+async function resolveAuthor(name) {
+  const [author] = await Author.search({ name, limit: 1 });
+  if (!author) throw new Error(`No author or artist named "${name}"`);
+  return author;
+}
+
+// ─────────────────────────────────────────────────────────────
+// 🔍 Search MangaDex
+// Returns compact results:
+// [{ id, title, year, status, contentRating, originalLanguage,
+//    authors, coverUrl, link }]
+// ─────────────────────────────────────────────────────────────
+export async function searchManga(filters) {
+  await loginIfConfigured();
+  const [includedTags, excludedTags, author] = await Promise.all([
+    resolveTags(filters.tags),
+    resolveTags(filters.excludeTags),
+    filters.author ? resolveAuthor(filters.author) : null
+  ]);
+
+  const results = await Manga.search({
+    title: filters.title || undefined,
+    authorOrArtist: author || undefined,
+    includedTags: includedTags.length ? includedTags : undefined,
+    includedTagsMode: 'AND',
+    excludedTags: excludedTags.length ? excludedTags : undefined,
+    contentRating: filters.rating.length ? filters.rating : undefined,
+    status: filters.status.length ? filters.status : undefined,
+    originalLanguage: filters.language.length ? filters.language : undefined,
+    year: filters.year ?? undefined,
+    limit: filters.limit,
+    includes: ['cover_art', 'author'],
+    order: filters.title ? { relevance: 'desc' } : { followedCount: 'desc' }
+  });
+
+  return results.map(manga => {
+    const cover = manga.mainCover?.peek();
+    return {
+      id: manga.id,
+      title: manga.localTitle || getLocalizedName(manga.title),
+      year: manga.year,
+      status: manga.status,
+      contentRating: manga.contentRating,
+      originalLanguage: manga.originalLanguage,
+      authors: manga.authors.map(a => a.peek()?.name).filter(Boolean),
+      // 256 px thumbnail; enough for a result list
+      coverUrl: cover ? `https://uploads.mangadex.org/covers/${manga.id}/${cover.fileName}.256.jpg` : null,
+      link: `https://mangadex.org/title/${manga.id}`
+    };
+  });
+}
+
+// One-line summary: "Berserk (1989) · Miura Kentarou · ongoing · ja"
+export function describeResult(result) {
+  return [
+    `${result.title}${result.year ? ` (${result.year})` : ''}`,
+    result.authors.slice(0, 2).join(', ') || null,
+    result.status,
+    result.originalLanguage,
+    result.contentRating !== 'safe' ? result.contentRating : null
+  ].filter(Boolean).join(' · ');
+}
+
+// "1,3-5" or "all" → result indexes
+export function parsePicks(spec, count) {
+  if (spec.trim().toLowerCase() === 'all') return [...Array(count).keys()];
+  const picks = new Set();
+  for (const part of spec.split(',').map(s => s.trim()).filter(Boolean)) {
+    const match = part.match(/^(\d+)(?:-(\d+))?$/);
+    if (!match) throw new Error(`Invalid pick "${part}" (expected e.g. 1,3-5 or all)`);
+    const from = parseInt(match[1], 10);
+    const to = match[2] ? parseInt(match[2], 10) : from;
+    if (from < 1 || to > count || from > to) throw new Error(`Pick "${part}" is outside 1-${count}`);
+    for (let n = from; n <= to; n++) picks.add(n - 1);
+  }
+  return [...picks];
+}
@@ -0,0 +1,201 @@
+// scripts/selection.js
+import { Manga } from 'mangadex-full-api';
+import {
+  parseChapterNum, chapterKey, chapterLabel, parseRanges, inRanges
+} from './chapters.js';
+
+// ─────────────────────────────────────────────────────────────
+// ⚙️ Chapter version preferences (per manga via env / queue list)
+// ─────────────────────────────────────────────────────────────
+const DEFAULT_LANGUAGES = ['en', 'ru', 'pl', 'id', 'pt-br', 'th', 'vi', 'ko', 'zh', 'ja'];
+const FEED_MAX_RESULTS = 10000; // MangaDex rejects offset + limit above this
+export const CHAPTER_PICKS = ['first', 'pages', 'newest'];
+
+function parseList(value) {
+  return (value || '').split(',').map(s => s.trim()).filter(Boolean);
+}
+
+export function getChapterPrefs(env = process.env) {
+  const languages = parseList(env.LANGUAGES).map(l => l.toLowerCase());
+  const pick = (env.CHAPTER_PICK || 'first').toLowerCase();
+  if (!CHAPTER_PICKS.includes(pick)) {
+    throw new Error(`CHAPTER_PICK must be one of: ${CHAPTER_PICKS.join(', ')}`);
+  }
+  return {
+    // Ranked; a trailing '*' accepts any other language after the listed ones
+    languages: languages.length > 0 ? languages : DEFAULT_LANGUAGES,
+    preferredGroups: parseList(env.PREFERRED_GROUPS).map(g => g.toLowerCase()),
+    blockedGroups: parseList(env.BLOCKED_GROUPS).map(g => g.toLowerCase()),
+    pick,
+    chapterRanges: parseRanges(env.CHAPTERS, 'chapter range'),
+    volumeRanges: parseRanges(env.VOLUMES, 'volume range')
+  };
+}
+
+// Group IDs always match; names only when the feed included scanlation_group
+function chapterGroups(ch) {
+  return (ch.groups || []).map(rel => ({ id: rel.id, name: rel.peek?.()?.name || null }));
+}
+
+function groupRank(groups, list) {
+  let best = Infinity;
+  for (const g of groups) {
+    const idx = list.findIndex(entry => entry === g.id.toLowerCase() || entry === g.name?.toLowerCase());
+    if (idx !== -1) best = Math.min(best, idx);
+  }
+  return best;
+}
+
+export function describeVersion(ch) {
+  const groups = chapterGroups(ch).map(g => g.name || g.id.substring(0, 8));
+  return `[${ch.translatedLanguage}] ${groups.join(' & ') || 'No Group'} (${ch.pages}p)`;
+}
+
+// ─────────────────────────────────────────────────────────────
+// 📜 Fetch the complete chapter feed
+// MangaDex caps any listing at 10k entries; series with more
+// entries than that are fetched one language at a time
+// ─────────────────────────────────────────────────────────────
+const FEED_PARAMS = {
+  includes: ['scanlation_group'],
+  contentRating: ['safe', 'suggestive', 'erotica', 'pornographic'],
+  order: { volume: 'asc', chapter: 'asc' }
+};
+
+export async function fetchFullFeed(manga, languages) {
+  const fetchAll = params => manga.getFeed({ ...FEED_PARAMS, ...params, limit: FEED_MAX_RESULTS, offset: 0 });
+  
+  const anyLanguage = languages.includes('*');
+  const chapters = await fetchAll(anyLanguage ? {} : { translatedLanguage: languages });
+  if (chapters.length < FEED_MAX_RESULTS) return chapters;
+  
+  const perLanguage = anyLanguage
+    ? (manga.availableTranslatedLanguages || [])
+    : languages;
+  console.log(`📜 Feed has ${FEED_MAX_RESULTS}+ entries, fetching ${perLanguage.length} language(s) separately...`);
+  
+  const all = [];
+  for (const lang of perLanguage) {
+    const langChapters = await fetchAll({ translatedLanguage: [lang] });
+    if (langChapters.length >= FEED_MAX_RESULTS) {
+      console.warn(`⚠️ [${lang}] feed still has ${FEED_MAX_RESULTS}+ entries, later chapters may be missing`);
+    }
+    all.push(...langChapters);
+  }
+  return all;
+}
+
+// ─────────────────────────────────────────────────────────────
+// 🔔 Chapters changed since a point in time (watch mode)
+// updatedAtSince catches new uploads and edits, publishAtSince
+// catches delayed releases going live; MangaDex ANDs filters, so
+// they are two queries merged by chapter ID
+// ─────────────────────────────────────────────────────────────
+function apiDateTime(date) {
+  // YYYY-MM-DDTHH:MM:SS in UTC, no milliseconds or zone suffix
+  return new Date(date).toISOString().slice(0, 19);
+}
+
+export async function fetchFeedSince(mangaId, languages, since) {
+  const params = {
+    ...FEED_PARAMS,
+    ...(languages.includes('*') ? {} : { translatedLanguage: languages }),
+    limit: FEED_MAX_RESULTS,
+    offset: 0
+  };
+  const stamp = apiDateTime(since);
+  const updated = await Manga.getFeed(mangaId, { ...params, updatedAtSince: stamp });
+  const published = await Manga.getFeed(mangaId, { ...params, publishAtSince: stamp });
+  return [...new Map([...updated, ...published].map(ch => [ch.id, ch])).values()];
+}
+
+// ─────────────────────────────────────────────────────────────
+// 📚 Select one version per chapter number by preference
+// ─────────────────────────────────────────────────────────────
+export function selectChapters(allChapters, maxChapters, prefs = getChapterPrefs()) {
+  const anyLanguage = prefs.languages.includes('*');
+  const langRank = lang => {
+    const idx = prefs.languages.indexOf(lang);
+    return idx !== -1 ? idx : (anyLanguage ? prefs.languages.length : -1);
+  };
+  
+  const chapterMap = new Map();
+  for (const ch of allChapters) {
+    if (ch.externalUrl) continue;
+    const chapNum = parseChapterNum(ch.chapter);
+    const volNum = ch.volume ? parseFloat(ch.volume) : null;
+    // A chapter range only matches numbered chapters; unnumbered ones need a volume range
+    if (prefs.chapterRanges && !inRanges(chapNum, prefs.chapterRanges)) continue;
+    if (prefs.volumeRanges && !inRanges(volNum, prefs.volumeRanges)) continue;
+    
+    const key = chapterKey(ch);
+    if (!chapterMap.has(key)) chapterMap.set(key, []);
+    chapterMap.get(key).push(ch);
+  }
+  
+  // Unnumbered releases sit right after the last numbered chapter of their volume
+  // (or any earlier one); without a volume they go last
+  const numberedByVolume = allChapters
+    .filter(ch => parseChapterNum(ch.chapter) !== Infinity && ch.volume && !isNaN(parseFloat(ch.volume)))
+    .map(ch => ({ num: parseChapterNum(ch.chapter), vol: parseFloat(ch.volume) }));
+  const sortNum = ch => {
+    const num = parseChapterNum(ch.chapter);
+    if (num !== Infinity) return num;
+    const vol = parseFloat(ch.volume);
+    if (isNaN(vol)) return Infinity;
+    return numberedByVolume.reduce((max, c) => (c.vol <= vol && c.num > max ? c.num : max), -Infinity);
+  };
+  
+  const selected = [];
+  const sortedKeys = Array.from(chapterMap.keys()).sort((a, b) => {
+    const [ca, cb] = [chapterMap.get(a)[0], chapterMap.get(b)[0]];
+    const unnumbered = ch => (parseChapterNum(ch.chapter) === Infinity ? 1 : 0);
+    return (sortNum(ca) - sortNum(cb)) || (unnumbered(ca) - unnumbered(cb)) || a.localeCompare(b);
+  });
+  for (const key of sortedKeys) {
+    if (selected.length >= maxChapters) break;
+    const versions = chapterMap.get(key);
+    const chapNum = parseChapterNum(versions[0].chapter);
+    const label = chapterLabel(versions[0]);
+    
+    const candidates = versions.filter(ch =>
+      langRank(ch.translatedLanguage) !== -1 &&
+      groupRank(chapterGroups(ch), prefs.blockedGroups) === Infinity
+    );
+    const blocked = versions.filter(ch => groupRank(chapterGroups(ch), prefs.blockedGroups) !== Infinity).length;
+    if (candidates.length === 0) {
+      console.log(`  ⏭️ ${label}: no acceptable version (${versions.length} found, ${blocked} blocked)`);
+      continue;
+    }
+    
+    // Feed order is the final tie-breaker, which keeps 'first' stable
+    const ranked = candidates
+      .map((ch, order) => ({ ch, order }))
+      .sort((a, b) =>
+        langRank(a.ch.translatedLanguage) - langRank(b.ch.translatedLanguage) ||
+        groupRank(chapterGroups(a.ch), prefs.preferredGroups) - groupRank(chapterGroups(b.ch), prefs.preferredGroups) ||
+        (prefs.pick === 'pages' ? (b.ch.pages || 0) - (a.ch.pages || 0) : 0) ||
+        (prefs.pick === 'newest' ? new Date(b.ch.publishAt) - new Date(a.ch.publishAt) : 0) ||
+        a.order - b.order
+      );
+    const chosen = ranked[0].ch;
+    
+    // 📝 Explain the choice in the run log
+    const reasons = [`language #${langRank(chosen.translatedLanguage) + 1}`];
+    if (groupRank(chapterGroups(chosen), prefs.preferredGroups) !== Infinity) reasons.push('preferred group');
+    if (candidates.length > 1 && prefs.pick === 'pages') reasons.push('most pages');
+    if (candidates.length > 1 && prefs.pick === 'newest') reasons.push('newest upload');
+    if (blocked > 0) reasons.push(`${blocked} blocked`);
+    const others = versions.length - 1;
+    console.log(`  📌 ${label}: ${describeVersion(chosen)} — ${reasons.join(', ')}${others > 0 ? ` (over ${others} other version(s))` : ''}`);
+    
+    selected.push({
+      ...chosen,
+      _isEnglish: chosen.translatedLanguage === 'en',
+      _chapNum: chapNum === Infinity ? null : chapNum,
+      _chapKey: key,
+      _label: label
+    });
+  }
+  return selected;
+}
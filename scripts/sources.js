@@ -0,0 +1,193 @@
+// scripts/sources.js
+import { readFileSync, existsSync } from 'fs';
+import { join } from 'path';
+import { Manga, Author, List, User } from 'mangadex-full-api';
+import { getLocalizedName, parseMangaId } from './metadata.js';
+import { loadLedger, getRootMessageId, destinationThreadId, rootKey } from './ledger.js';
+import { sendText, escapeHtml, chunkLines } from './posting.js';
+import { editMessageText } from './telegram.js';
+import { writeJsonAtomic } from './fsutil.js';
+import { loginMangaDex, hasMangaDexLogin } from './auth.js';
+
+const INDEX_DIR = process.env.INDEX_DIR || join(process.cwd(), 'state', 'index');
+// Author works use MangaDex's default ratings; pornographic titles are left out
+const WORK_RATINGS = ['safe', 'suggestive', 'erotica'];
+// Lists and follows were picked by hand, so nothing is filtered
+const ALL_RATINGS = [...WORK_RATINGS, 'pornographic'];
+// MangaDex takes at most 100 IDs per search
+const IDS_PER_SEARCH = 100;
+const ROLE_PARAMS = { any: 'authorOrArtist', author: 'authors', artist: 'artists' };
+const ROLE_LABELS = { any: 'author & artist', author: 'author', artist: 'artist' };
+
+function toWork(manga) {
+  return {
+    mangaId: manga.id,
+    title: manga.localTitle || getLocalizedName(manga.title),
+    link: `https://mangadex.org/title/${manga.id}`
+  };
+}
+
+// ─────────────────────────────────────────────────────────────
+// 👤 Every title by an author/artist
+// role: 'author', 'artist' or 'any' (either credit)
+// ─────────────────────────────────────────────────────────────
+export async function fetchAuthorWorks(authorId, role = 'any') {
+  const author = await Author.get(authorId);
+  const byRole = role === 'any' ? { authorOrArtist: authorId } : { [ROLE_PARAMS[role]]: [authorId] };
+  const works = await Manga.search({
+    ...byRole,
+    contentRating: WORK_RATINGS,
+    order: { year: 'asc' },
+    limit: Infinity
+  });
+  return { id: author.id, name: author.name, works: works.map(toWork) };
+}
+
+// ─────────────────────────────────────────────────────────────
+// 📚 Every title in a custom list (MDList), in the list's order
+// Private lists are readable with the owner's MangaDex login.
+// ─────────────────────────────────────────────────────────────
+export async function fetchListWorks(listId, env = process.env) {
+  if (hasMangaDexLogin(env)) await loginMangaDex(env);
+  const list = await List.get(listId);
+  const ids = list.manga.map(m => m.id);
+  const found = new Map();
+  for (let i = 0; i < ids.length; i += IDS_PER_SEARCH) {
+    const batch = await Manga.search({ ids: ids.slice(i, i + IDS_PER_SEARCH), contentRating: ALL_RATINGS, limit: IDS_PER_SEARCH });
+    for (const manga of batch) found.set(manga.id, manga);
+  }
+  // Titles removed from MangaDex stay in lists but can't be fetched
+  const works = ids.filter(id => found.has(id)).map(id => toWork(found.get(id)));
+  return { id: list.id, name: list.name, works };
+}
+
+// ─────────────────────────────────────────────────────────────
+// ⭐ Every title the logged-in account follows
+// The account is identified by its user ID, however the login is spelled.
+// ─────────────────────────────────────────────────────────────
+export async function fetchFollowedWorks(env = process.env) {
+  await loginMangaDex(env);
+  const [user, followed] = await Promise.all([User.getLoggedInUser(), Manga.getFollowedManga()]);
+  return { id: user.id, name: user.username, works: followed.map(toWork) };
+}
+
+// ─────────────────────────────────────────────────────────────
+// 🔀 Expand source entries (author, list, follows) into one entry
+// per title
+// Sources are looked up again on every run, so new works and list
+// changes are picked up. Each title keeps the entry's other
+// settings and a `source` the index post is built from; a source
+// that cannot be expanded becomes a failed entry.
+// ─────────────────────────────────────────────────────────────
+const SOURCE_ENV = ['AUTHOR_INPUT', 'AUTHOR_ROLE', 'LIST_INPUT', 'FOLLOWS_INPUT'];
+
+// → { key, heading, works }, or null for a plain title entry
+async function resolveSource(env) {
+  if (env.AUTHOR_INPUT) {
+    const role = env.AUTHOR_ROLE || 'any';
+    const author = await fetchAuthorWorks(parseMangaId(env.AUTHOR_INPUT), role);
+    return { key: `author-${author.id}-${role}`, heading: `👤 ${author.name} · ${ROLE_LABELS[role]}`, works: author.works };
+  }
+  if (env.LIST_INPUT) {
+    const list = await fetchListWorks(parseMangaId(env.LIST_INPUT), env);
+    return { key: `list-${list.id}`, heading: `📚 ${list.name}`, works: list.works };
+  }
+  if (env.FOLLOWS_INPUT === 'true') {
+    const account = await fetchFollowedWorks(env);
+    return { key: `follows-${account.id}`, heading: `⭐ Followed by ${account.name}`, works: account.works };
+  }
+  return null;
+}
+
+export async function expandSources(entries, { env: baseEnv = process.env } = {}) {
+  const expanded = [];
+  for (const entry of entries) {
+    if (entry.errors.length > 0 || !SOURCE_ENV.some(key => entry.env[key])) {
+      expanded.push(entry);
+      continue;
+    }
+    const env = Object.fromEntries(Object.entries(entry.env).filter(([key]) => !SOURCE_ENV.includes(key)));
+    try {
+      const { works, ...source } = await resolveSource({ ...baseEnv, ...entry.env });
+      console.log(`${source.heading}: ${works.length} title(s)`);
+      for (const work of works) {
+        expanded.push({ ...entry, input: work.link, env: { ...env, MANGA_INPUT: work.link }, notes: [], source, workTitle: work.title });
+      }
+    } catch (err) {
+      expanded.push({ ...entry, errors: [{ line: entry.line, message: `${entry.input ?? 'follows'}: ${err.message}` }] });
+    }
+  }
+  return expanded;
+}
+
+// ─────────────────────────────────────────────────────────────
+// 🔗 t.me link to a message (null for chats without public links)
+// ─────────────────────────────────────────────────────────────
+export function messageLink(chatId, messageId) {
+  const chat = String(chatId);
+  if (chat.startsWith('@')) return `https://t.me/${chat.slice(1)}/${messageId}`;
+  if (chat.startsWith('-100')) return `https://t.me/c/${chat.slice(4)}/${messageId}`;
+  return null;
+}
+
+// ─────────────────────────────────────────────────────────────
+// 📇 Index post per source: one line per title, linking its root
+// message. Later runs edit the same post(s) instead of adding new
+// ones; the message IDs are kept in state/index/<source>.json.
+// ─────────────────────────────────────────────────────────────
+function indexPath(source) {
+  return join(INDEX_DIR, `${source.key}.json`);
+}
+
+function loadIndexState(source) {
+  const path = indexPath(source);
+  if (!existsSync(path)) return { posts: {} };
+  try {
+    return { posts: {}, ...JSON.parse(readFileSync(path, 'utf8')) };
+  } catch (err) {
+    console.warn(`⚠️ Index state ${path} unreadable (${err.message}), posting a new index`);
+    return { posts: {} };
+  }
+}
+
+// works: [{ mangaId, title }]; destinations: resolveOptions().destinations
+export async function postSourceIndex(source, works, destinations) {
+  const state = loadIndexState(source);
+  for (const dest of destinations) {
+    // Auto topics are one per title, so their index goes to the chat itself
+    const indexThread = dest.autoTopic ? null : dest.topicId;
+    const lines = works.map(({ mangaId, title }, idx) => {
+      const ledger = loadLedger(mangaId);
+      const rootId = getRootMessageId(ledger, dest.chatId, destinationThreadId(ledger, dest));
+      const link = rootId ? messageLink(dest.chatId, rootId) : null;
+      const name = escapeHtml(ledger.title || title);
+      return `${idx + 1}. ${link ? `<a href="${link}">${name}</a>` : name}`;
+    });
+    const chunks = chunkLines([`<b>${escapeHtml(`${source.heading} · ${works.length} title(s)`)}</b>`, '', ...lines]);
+
+    const key = rootKey(dest.chatId, indexThread);
+    const previous = state.posts[key] || [];
+    const posts = [];
+    for (const [idx, text] of chunks.entries()) {
+      const old = previous[idx];
+      if (old?.text === text) {
+        posts.push(old);
+        continue;
+      }
+      let messageId = null;
+      if (old) {
+        try {
+          await editMessageText(dest.chatId, old.messageId, text);
+          messageId = old.messageId;
+        } catch (err) {
+          console.warn(`⚠️ Index post ${old.messageId} not editable (${err.message}), posting a new one`);
+        }
+      }
+      messageId ??= await sendText(dest.chatId, text, null, true, indexThread);
+      if (messageId) posts.push({ messageId, text });
+    }
+    state.posts[key] = posts;
+    console.log(`📇 Index for ${source.heading} in ${dest.chatId}: ${works.length} title(s)`);
+  }
+  writeJsonAtomic(indexPath(source), state);
+}
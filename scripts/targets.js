@@ -0,0 +1,271 @@
+// scripts/targets.js
+import { mkdirSync, renameSync, copyFileSync, rmSync } from 'fs';
+import { join } from 'path';
+import {
+  loadLedger, saveLedger, getRootMessageId, setRootMessageId, setTopicId,
+  destinationThreadId, deliveredChapterKeys, isDelivered, markDelivered
+} from './ledger.js';
+import { chapterKey } from './chapters.js';
+import {
+  TELEGRAM_FILE_LIMIT, sendMangaInfo, sendDocumentWithThumb, sendText,
+  escapeHtml, buildRunSummary
+} from './posting.js';
+import { ProgressMessage } from './progress.js';
+import { createForumTopic } from './telegram.js';
+
+// ─────────────────────────────────────────────────────────────
+// 🎯 Publish targets decide where packaged files end up
+//   name, sizeLimit, bundleZips
+//   pending(mangaId, chapters)          → chapters still to deliver
+//   begin({ meta, chapters, covers,     → before the first file
+//          events })                   (events: runDownload progress)
+//   publish(file)                       → { ok, ... } per packaged file; targets
+//                                         with several destinations add
+//                                         delivered / failed lists
+//   finish(result) / fail(err)          → end of the run
+// Any object of this shape can be passed as options.target.
+// ─────────────────────────────────────────────────────────────
+
+// ─────────────────────────────────────────────────────────────
+// 📍 Destinations: "chat", "chat/topic" or "chat/auto", comma-separated
+// chat is a numeric ID or @channel; "auto" creates a forum topic per
+// manga the first time and reuses it afterwards
+// ─────────────────────────────────────────────────────────────
+export function parseDestinations(spec) {
+  if (!spec || !String(spec).trim()) return [];
+  return String(spec).split(/[\s,]+/).filter(Boolean).map(part => {
+    const match = part.match(/^(-?\d+|@\w{5,})(?:\/(\d+|auto))?$/);
+    if (!match) throw new Error(`Invalid destination "${part}" (expected chat, chat/topic or chat/auto)`);
+    const [, chatId, topic] = match;
+    return {
+      chatId,
+      topicId: topic && topic !== 'auto' ? parseInt(topic, 10) : null,
+      autoTopic: topic === 'auto'
+    };
+  });
+}
+
+// ─────────────────────────────────────────────────────────────
+// 📢 Telegram: per destination an info card as root post, files as
+// replies and a live status message that ends as the summary.
+// All destinations share the manga's ledger.
+// ─────────────────────────────────────────────────────────────
+export function telegramTarget({ chatId = null, topicId = null, autoTopic = false, destinations = null }) {
+  let ledger = null;
+  let thumbPath = null;
+  const dests = (destinations ?? [{ chatId, topicId, autoTopic }]).map(d => ({
+    chatId: d.chatId,
+    topicId: d.topicId ?? null,
+    autoTopic: Boolean(d.autoTopic),
+    rootMessageId: null,
+    progress: null,
+    pendingIds: null
+  }));
+  const where = d => (d.topicId ? `${d.chatId}/${d.topicId}` : String(d.chatId));
+
+  const ensureTopic = async (d, title) => {
+    if (d.topicId || !d.autoTopic) return;
+    try {
+      d.topicId = await createForumTopic(d.chatId, title);
+      setTopicId(ledger, d.chatId, d.topicId);
+      saveLedger(ledger);
+      console.log(`🧵 Created topic "${title}" in ${d.chatId} (thread ${d.topicId})`);
+    } catch (err) {
+      console.error(`❌ Could not create a topic in ${d.chatId}, posting to the chat itself: ${err.message}`);
+    }
+  };
+
+  const beginDestination = async (d, { meta, chapters, covers, events }) => {
+    const mine = d.pendingIds ? chapters.filter(ch => d.pendingIds.has(ch.id)) : chapters;
+    await ensureTopic(d, meta.title);
+
+    // ♻️ Reuse the existing root post instead of sending a duplicate info card
+    d.rootMessageId = getRootMessageId(ledger, d.chatId, d.topicId);
+    if (d.rootMessageId) {
+      console.log(`📒 ${where(d)}: info card already posted (message_id: ${d.rootMessageId}), replying under it`);
+    } else {
+      // ✅ ALWAYS send manga info + cover album FIRST (before chapter check)
+      console.log(`\n📢 === SENDING MANGA INFO to ${where(d)} ===`);
+      d.rootMessageId = await sendMangaInfo(
+        d.chatId,
+        meta.title,
+        meta.authors,
+        meta.artists,
+        meta.originalLanguage?.toUpperCase() || 'N/A',
+        meta.altTitles,
+        mine,
+        meta.status,
+        meta.year || 'N/A',
+        meta.genres,
+        meta.themes,
+        meta.description,
+        covers.coverPaths,
+        d.topicId
+      );
+      if (d.rootMessageId) {
+        ledger.title = meta.title;
+        setRootMessageId(ledger, d.chatId, d.rootMessageId, d.topicId);
+        saveLedger(ledger);
+      }
+    }
+
+    if (!d.rootMessageId || mine.length === 0 || !events) return;
+    d.progress = new ProgressMessage({
+      chatId: d.chatId, replyTo: d.rootMessageId, threadId: d.topicId, title: meta.title,
+      total: mine.length, chapterIds: mine.map(ch => ch.id)
+    }).attach(events);
+    await d.progress.start();
+  };
+
+  return {
+    name: 'telegram',
+    sizeLimit: TELEGRAM_FILE_LIMIT,
+    bundleZips: true,
+
+    // Skip anything already posted on an earlier run; a chapter stays
+    // pending while any destination is still missing it
+    pending(mangaId, chapters) {
+      ledger = loadLedger(mangaId);
+      const deliveredCount = Object.keys(ledger.chapters).length;
+      if (deliveredCount > 0) console.log(`📒 Ledger: ${deliveredCount} chapter(s) already delivered`);
+
+      // No destination configured (dry runs): everything counts as pending
+      if (dests.length === 0) return chapters;
+      const needed = new Set();
+      for (const d of dests) {
+        const dest = { chatId: d.chatId, threadId: destinationThreadId(ledger, d) };
+        const deliveredKeys = deliveredChapterKeys(ledger, dest.chatId, dest.threadId);
+        const mine = chapters.filter(ch => !isDelivered(ledger, ch.id, chapterKey(ch), dest, deliveredKeys));
+        d.pendingIds = new Set(mine.map(ch => ch.id));
+        for (const ch of mine) needed.add(ch.id);
+      }
+      return chapters.filter(ch => needed.has(ch.id));
+    },
+
+    async begin(context) {
+      ledger ??= loadLedger(context.meta.mangaId);
+      thumbPath = context.covers.thumbPath;
+      for (const d of dests) {
+        d.topicId ??= destinationThreadId(ledger, d);
+        await beginDestination(d, context);
+      }
+    },
+
+    // Each file goes to the destinations still missing one of its chapters.
+    // ok once any destination has it; the others are listed in failed and
+    // stay pending in the ledger for the next run.
+    async publish(file) {
+      const delivered = [];
+      const failed = [];
+      for (const d of dests) {
+        if (d.pendingIds && !file.chapters.some(c => d.pendingIds.has(c.chapterId))) continue;
+        const dest = { chatId: d.chatId, threadId: d.topicId };
+        if (!d.rootMessageId) {
+          failed.push({ ...dest, reason: `${where(d)}: no root message` });
+          continue;
+        }
+        const message = await sendDocumentWithThumb(d.chatId, file.path, file.name, file.caption, d.rootMessageId, thumbPath, d.topicId);
+        if (!message) {
+          failed.push({ ...dest, reason: `${where(d)}: upload failed` });
+          continue;
+        }
+        markDelivered(ledger, file.chapters, { ...dest, messageId: message.message_id });
+        saveLedger(ledger);
+        delivered.push({ ...dest, messageId: message.message_id });
+      }
+      return {
+        ok: delivered.length > 0 || failed.length === 0,
+        reason: failed.length > 0 ? failed.map(f => f.reason).join('; ') : null,
+        messageId: delivered[0]?.messageId ?? null,
+        delivered,
+        failed
+      };
+    },
+
+    async finish(result) {
+      const summary = buildRunSummary(result.delivered, result.files.length, result.failed, result.imageSavings);
+      for (const d of dests) {
+        if (d.progress) await d.progress.finish(summary);
+        else if (d.rootMessageId) await sendText(d.chatId, summary, d.rootMessageId, true, d.topicId);
+      }
+    },
+
+    async fail(err) {
+      if (!process.env.TELEGRAM_BOT_TOKEN) return;
+      const text = `<b>❌ Failed</b>\n<code>${escapeHtml(err.message)}</code>`;
+      for (const d of dests) {
+        if (!d.chatId) continue;
+        if (d.progress) await d.progress.finish(text);
+        else await sendText(d.chatId, text, null, true, d.topicId);
+      }
+    }
+  };
+}
+
+// ─────────────────────────────────────────────────────────────
+// 💬 Reply: files answer one message (bot requests), no info card
+// or ledger, the requester gets what they asked for
+// ─────────────────────────────────────────────────────────────
+export function replyTarget({ chatId, replyTo }) {
+  let thumbPath = null;
+
+  return {
+    name: 'reply',
+    sizeLimit: TELEGRAM_FILE_LIMIT,
+    bundleZips: true,
+
+    pending: (mangaId, chapters) => chapters,
+
+    async begin({ covers }) {
+      thumbPath = covers.thumbPath;
+    },
+
+    async publish(file) {
+      const sent = await sendDocumentWithThumb(chatId, file.path, file.name, file.caption, replyTo, thumbPath);
+      if (!sent) return { ok: false, reason: 'upload failed' };
+      return { ok: true, messageId: sent.message_id };
+    }
+  };
+}
+
+// ─────────────────────────────────────────────────────────────
+// 📁 Local library: files land in <outDir>/<title>, no size limit
+// ─────────────────────────────────────────────────────────────
+function moveFile(src, dest) {
+  try {
+    renameSync(src, dest);
+  } catch (err) {
+    if (err.code !== 'EXDEV') throw err;
+    copyFileSync(src, dest);
+    rmSync(src, { force: true });
+  }
+}
+
+export function libraryTarget({ outDir }) {
+  let dir = null;
+
+  return {
+    name: 'library',
+    sizeLimit: Infinity,
+    bundleZips: false,
+
+    // The ledger tracks Telegram deliveries; a library always gets the full selection
+    pending: (mangaId, chapters) => chapters,
+
+    async begin({ meta }) {
+      dir = join(outDir, meta.safeTitle);
+      mkdirSync(dir, { recursive: true });
+      console.log(`📁 Local library: ${dir}`);
+    },
+
+    async publish(file) {
+      const path = join(dir, file.name);
+      moveFile(file.path, path);
+      return { ok: true, path };
+    },
+
+    async finish(result) {
+      console.log(`✅ ${result.files.length} file(s) written to ${dir}`);
+    }
+  };
+}
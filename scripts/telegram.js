@@ -1,61 +1,287 @@
 // scripts/telegram.js
 import fetch from 'node-fetch';
+import { resolve } from 'path';
+import { FormData } from 'formdata-node';
+import { fileFromPath } from 'formdata-node/file-from-path';
 
-const TELEGRAM_API = `https://api.telegram.org/bot${process.env.TELEGRAM_BOT_TOKEN}`;
-
-// Send a text message and return its message_id
-export async function sendText(chatId, text, replyToMessageId = null) {
-  const res = await fetch(`${TELEGRAM_API}/sendMessage`, {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({
-      chat_id: chatId,
-      text,
-      reply_to_message_id: replyToMessageId,
-      parse_mode: 'HTML'
-    })
-  });
-  const data = await res.json();
-  if (!data.ok) throw new Error(`Telegram API error: ${data.description}`);
-  return data.result.message_id;
+// A self-hosted telegram-bot-api server can replace api.telegram.org.
+// Started with --local it accepts 2 GB uploads and reads files straight
+// from disk (file:// paths), so it must see the same filesystem.
+const TELEGRAM_API_URL = (process.env.TELEGRAM_API_URL || 'https://api.telegram.org').replace(/\/+$/, '');
+const TELEGRAM_LOCAL_SERVER = process.env.TELEGRAM_LOCAL_SERVER === 'true';
+// api.telegram.org can't read file:// paths, so every upload would fail
+if (TELEGRAM_LOCAL_SERVER && !process.env.TELEGRAM_API_URL) {
+  throw new Error('TELEGRAM_LOCAL_SERVER=true needs TELEGRAM_API_URL set to the local Bot API server');
+}
+
+// 50 MB on api.telegram.org, 2 GB on a local server; a bad override falls back to that
+function parseFileLimit(value) {
+  const fallback = TELEGRAM_LOCAL_SERVER ? 2000 : 50;
+  if (!value) return fallback * 1024 * 1024;
+  const mb = Number(value);
+  if (!(mb > 0)) {
+    console.warn(`⚠️ Invalid TELEGRAM_FILE_LIMIT_MB "${value}", using ${fallback} MB`);
+    return fallback * 1024 * 1024;
+  }
+  return mb * 1024 * 1024;
+}
+export const TELEGRAM_FILE_LIMIT = parseFileLimit(process.env.TELEGRAM_FILE_LIMIT_MB);
+
+// Telegram allows about one message per second in a chat (20/min in groups)
+const CHAT_INTERVAL_MS = parseInt(process.env.TELEGRAM_CHAT_INTERVAL_MS || '1000', 10);
+const MAX_FLOOD_RETRIES = 5;
+const MAX_NETWORK_RETRIES = 3;
+const REQUEST_TIMEOUT_MS = 60 * 1000;
+const UPLOAD_TIMEOUT_MS = 10 * 60 * 1000;
+
+const sleep = ms => new Promise(r => setTimeout(r, ms));
+
+function redactToken(text) {
+  const token = process.env.TELEGRAM_BOT_TOKEN;
+  return token ? text.split(token).join('<token>') : text;
+}
+
+// ─────────────────────────────────────────────────────────────
+// ❗ Error types
+// TelegramError: the Bot API answered ok: false (code = error_code)
+// TelegramNetworkError: no usable answer (timeout, DNS, bad JSON, 5xx)
+// ─────────────────────────────────────────────────────────────
+export class TelegramError extends Error {
+  constructor(method, data) {
+    super(`Telegram ${method} failed: ${data.description || 'unknown error'}`);
+    this.name = 'TelegramError';
+    this.method = method;
+    this.code = data.error_code ?? null;
+    this.description = data.description || '';
+    this.retryAfter = data.parameters?.retry_after ?? null;
+  }
+
+  get isParseError() {
+    return this.code === 400 && /can't parse entities/i.test(this.description);
+  }
+
+  get isNotModified() {
+    return this.code === 400 && /message is not modified/i.test(this.description);
+  }
+}
+
+export class TelegramNetworkError extends Error {
+  constructor(method, cause) {
+    // node-fetch puts the request URL, bot token included, into its messages
+    super(`Telegram ${method} failed: ${redactToken(cause.message)}`);
+    this.name = 'TelegramNetworkError';
+    this.method = method;
+    this.cause = cause;
+  }
+}
+
+// ─────────────────────────────────────────────────────────────
+// 🚦 Per-chat flood queue: every request to a chat takes the next
+// free slot, and a 429 pushes that chat's slots back by retry_after
+// ─────────────────────────────────────────────────────────────
+const chatSlots = new Map();
+
+async function waitForChat(chatId) {
+  const key = String(chatId ?? '*');
+  const now = Date.now();
+  const slot = Math.max(now, chatSlots.get(key) ?? 0);
+  chatSlots.set(key, slot + CHAT_INTERVAL_MS);
+  if (slot > now) await sleep(slot - now);
+}
+
+function floodWait(chatId, seconds) {
+  const key = String(chatId ?? '*');
+  chatSlots.set(key, Math.max(chatSlots.get(key) ?? 0, Date.now() + seconds * 1000));
+}
+
+// ─────────────────────────────────────────────────────────────
+// 🔤 Plain-text fallback when Telegram rejects our HTML
+// ─────────────────────────────────────────────────────────────
+export function stripHtml(text) {
+  if (!text) return text;
+  return text
+    .replace(/<[^>]*>/g, '')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+function withoutHtml(params) {
+  const plain = { ...params, parse_mode: undefined };
+  if (plain.text) plain.text = stripHtml(plain.text);
+  if (plain.caption) plain.caption = stripHtml(plain.caption);
+  if (Array.isArray(plain.media)) {
+    plain.media = plain.media.map(m => ({ ...m, parse_mode: undefined, caption: stripHtml(m.caption) }));
+  }
+  return plain;
+}
+
+// ─────────────────────────────────────────────────────────────
+// 📡 One Bot API call
+// params: plain values; inputFile() values are uploaded as multipart
+// Returns data.result, throws TelegramError / TelegramNetworkError.
+// ─────────────────────────────────────────────────────────────
+const FILE = Symbol('telegram file');
+
+export function inputFile(path, name) {
+  return { [FILE]: true, path, name };
 }
 
-// Send a ZIP file as a document
-export async function sendDocument(chatId, filePath, fileName, caption = '', replyToMessageId = null) {
+// Photos may also be http(s) URLs, which Telegram downloads itself
+function photoInput(pathOrUrl, name) {
+  return /^https?:\/\//.test(pathOrUrl) ? pathOrUrl : inputFile(pathOrUrl, name);
+}
+
+// Large files: a path the local server reads itself, otherwise a multipart upload
+export function localOrUpload(path, name) {
+  return TELEGRAM_LOCAL_SERVER ? `file://${resolve(path)}` : inputFile(path, name);
+}
+
+async function buildBody(params) {
+  const entries = Object.entries(params).filter(([, v]) => v !== undefined && v !== null);
+  if (!entries.some(([, v]) => v?.[FILE])) {
+    return { body: JSON.stringify(Object.fromEntries(entries)), headers: { 'Content-Type': 'application/json' }, upload: false };
+  }
+  // Streams are single-use, so the form is rebuilt for every attempt
   const form = new FormData();
-  form.append('chat_id', chatId);
-  form.append('document', {
-    [Symbol.toStringTag]: 'File',
-    name: fileName,
-    type: 'application/zip',
-    stream: () => require('fs').createReadStream(filePath)
-  }, fileName);
-  
-  if (caption) form.append('caption', caption);
-  if (replyToMessageId) form.append('reply_to_message_id', replyToMessageId);
-  
-  // node-fetch v3 + FormData requires node >= 18 + --experimental-global-webcrypto or use formdata-node
-  const res = await fetch(`${TELEGRAM_API}/sendDocument`, {
-    method: 'POST',
-    body: form
+  for (const [key, value] of entries) {
+    if (value?.[FILE]) form.append(key, await fileFromPath(value.path), value.name);
+    else form.append(key, typeof value === 'object' ? JSON.stringify(value) : String(value));
+  }
+  return { body: form, headers: {}, upload: true };
+}
+
+export async function callApi(method, params = {}, { timeoutMs } = {}) {
+  if (!process.env.TELEGRAM_BOT_TOKEN) throw new TelegramError(method, { description: 'TELEGRAM_BOT_TOKEN not set' });
+  const url = `${TELEGRAM_API_URL}/bot${process.env.TELEGRAM_BOT_TOKEN}/${method}`;
+  let current = params;
+  let floodRetries = 0;
+  let networkRetries = 0;
+  let strippedHtml = false;
+
+  while (true) {
+    await waitForChat(current.chat_id);
+    const { body, headers, upload } = await buildBody(current);
+
+    let data;
+    try {
+      const res = await fetch(url, {
+        method: 'POST',
+        body,
+        headers,
+        signal: AbortSignal.timeout(timeoutMs ?? (upload ? UPLOAD_TIMEOUT_MS : REQUEST_TIMEOUT_MS))
+      });
+      data = await res.json().catch(() => ({ ok: false, error_code: res.status, description: `HTTP ${res.status}` }));
+    } catch (err) {
+      if (++networkRetries >= MAX_NETWORK_RETRIES) throw new TelegramNetworkError(method, err);
+      console.warn(`⚠️ Telegram ${method}: ${redactToken(err.message)}, retrying (${networkRetries}/${MAX_NETWORK_RETRIES - 1})`);
+      await sleep(2000 * networkRetries);
+      continue;
+    }
+
+    if (data.ok) return data.result;
+    const error = new TelegramError(method, data);
+
+    if (error.retryAfter !== null && floodRetries < MAX_FLOOD_RETRIES) {
+      floodRetries++;
+      console.warn(`⏳ Telegram flood wait ${error.retryAfter}s (${method})`);
+      floodWait(current.chat_id, error.retryAfter);
+      continue;
+    }
+    if (error.code >= 500 && networkRetries < MAX_NETWORK_RETRIES - 1) {
+      networkRetries++;
+      await sleep(2000 * networkRetries);
+      continue;
+    }
+    if (error.isParseError && !strippedHtml) {
+      console.warn(`⚠️ Telegram rejected the HTML in ${method}, resending as plain text`);
+      strippedHtml = true;
+      current = withoutHtml(current);
+      continue;
+    }
+    throw error;
+  }
+}
+
+// ─────────────────────────────────────────────────────────────
+// 💬 Methods used by the posting code, bot and progress messages
+// All return the Bot API result (Message, Message[], Update[])
+// ─────────────────────────────────────────────────────────────
+export function sendMessage(chatId, text, { replyTo = null, threadId = null, disablePreview = true } = {}) {
+  return callApi('sendMessage', {
+    chat_id: chatId,
+    message_thread_id: threadId || undefined,
+    text,
+    reply_to_message_id: replyTo || undefined,
+    parse_mode: 'HTML',
+    disable_web_page_preview: disablePreview
   });
-  
-  const data = await res.json();
-  if (!data.ok) throw new Error(`Telegram API error: ${data.description}`);
-  return data.result.message_id;
 }
 
-// Edit an existing message (e.g., update progress)
-export async function editMessageText(chatId, messageId, text) {
-  const res = await fetch(`${TELEGRAM_API}/editMessageText`, {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({
-      chat_id: chatId,
-      message_id: messageId,
-      text,
-      parse_mode: 'HTML'
+export function sendDocument(chatId, filePath, { fileName, caption = null, replyTo = null, threadId = null, thumbPath = null } = {}) {
+  return callApi('sendDocument', {
+    chat_id: chatId,
+    message_thread_id: threadId || undefined,
+    document: localOrUpload(filePath, fileName),
+    caption: caption ? caption.substring(0, 1024) : undefined,
+    reply_to_message_id: replyTo || undefined,
+    thumbnail: thumbPath ? inputFile(thumbPath, 'thumb.jpg') : undefined
+  });
+}
+
+export function sendPhoto(chatId, filePath, { caption = null, replyTo = null, threadId = null } = {}) {
+  return callApi('sendPhoto', {
+    chat_id: chatId,
+    message_thread_id: threadId || undefined,
+    photo: photoInput(filePath, 'cover.jpg'),
+    caption: caption || undefined,
+    parse_mode: 'HTML',
+    reply_to_message_id: replyTo || undefined
+  });
+}
+
+// Caption goes on the first photo, like a single post; captions gives each photo its own
+export function sendMediaGroup(chatId, filePaths, { caption = null, captions = null, replyTo = null, threadId = null } = {}) {
+  const inputs = filePaths.map((path, idx) => photoInput(path, `photo_${idx}.jpg`));
+  const params = {
+    chat_id: chatId,
+    message_thread_id: threadId || undefined,
+    reply_to_message_id: replyTo || undefined,
+    media: inputs.map((input, idx) => {
+      const text = captions?.[idx] ?? (idx === 0 ? caption : null);
+      return {
+        type: 'photo',
+        media: typeof input === 'string' ? input : `attach://photo_${idx}`,
+        parse_mode: 'HTML',
+        ...(text ? { caption: text.substring(0, 1024) } : {})
+      };
     })
+  };
+  inputs.forEach((input, idx) => {
+    if (typeof input !== 'string') params[`photo_${idx}`] = input;
   });
-  return res.json();
+  return callApi('sendMediaGroup', params);
+}
+
+// Editing to identical text is not an error worth reporting
+export async function editMessageText(chatId, messageId, text) {
+  try {
+    return await callApi('editMessageText', { chat_id: chatId, message_id: messageId, text, parse_mode: 'HTML' });
+  } catch (err) {
+    if (err instanceof TelegramError && err.isNotModified) return null;
+    throw err;
+  }
+}
+
+// Long-poll for new messages (bot mode); Telegram holds the request up to `timeout` seconds
+export function getUpdates(offset, timeout = 50) {
+  return callApi('getUpdates', { offset, timeout, allowed_updates: ['message'] }, { timeoutMs: (timeout + 15) * 1000 });
+}
+
+// New forum topic (the bot needs the can_manage_topics right); returns its message_thread_id
+export async function createForumTopic(chatId, name) {
+  const topic = await callApi('createForumTopic', { chat_id: chatId, name: name.substring(0, 128) });
+  return topic.message_thread_id;
 }
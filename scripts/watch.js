@@ -0,0 +1,188 @@
+// scripts/watch.js
+import { readFileSync, existsSync } from 'fs';
+import { join } from 'path';
+import { resolveOptions, runDownload, parseMangaId } from './index.js';
+import { fetchFeedSince } from './selection.js';
+import { loadLedger, getRootMessageId, destinationThreadId, isDelivered } from './ledger.js';
+import { chapterKey } from './chapters.js';
+import { readMangaList, formatIssue } from './mangalist.js';
+import { postIndexes } from './queue.js';
+import { writeJsonAtomic } from './fsutil.js';
+import { expandSources } from './sources.js';
+import { loginMangaDex } from './auth.js';
+
+const WATCH_INTERVAL_MINUTES = parseFloat(process.env.WATCH_INTERVAL_MINUTES || '30');
+const WATCH_QUIET_HOURS = process.env.WATCH_QUIET_HOURS || '';
+const WATCH_STATE_PATH = process.env.WATCH_STATE || join(process.cwd(), 'state', 'watch', 'state.json');
+// Each poll looks a little further back than the last one, chapters can be indexed late
+const POLL_OVERLAP_MS = 10 * 60 * 1000;
+
+const sleep = ms => new Promise(r => setTimeout(r, ms));
+
+// ─────────────────────────────────────────────────────────────
+// 🌙 Quiet hours: "23-7" or "22:30-06:00", in the process time zone (TZ)
+// ─────────────────────────────────────────────────────────────
+export function parseQuietHours(spec) {
+  if (!spec || !spec.trim()) return null;
+  const match = spec.trim().match(/^(\d{1,2})(?::([0-5]\d))?\s*-\s*(\d{1,2})(?::([0-5]\d))?$/);
+  const toMinutes = (h, m = '0') => parseInt(h, 10) * 60 + parseInt(m, 10);
+  if (!match || parseInt(match[1], 10) > 23 || parseInt(match[3], 10) > 23) {
+    throw new Error(`Invalid quiet hours "${spec}" (expected e.g. 23-7 or 22:30-06:00)`);
+  }
+  return { start: toMinutes(match[1], match[2]), end: toMinutes(match[3], match[4]) };
+}
+
+function minuteOfDay(date) {
+  return date.getHours() * 60 + date.getMinutes();
+}
+
+export function inQuietHours(date, quiet) {
+  if (!quiet || quiet.start === quiet.end) return false;
+  const now = minuteOfDay(date);
+  return quiet.start < quiet.end
+    ? now >= quiet.start && now < quiet.end
+    : now >= quiet.start || now < quiet.end;
+}
+
+function msUntilQuietEnd(date, quiet) {
+  const minutes = (quiet.end - minuteOfDay(date) + 24 * 60) % (24 * 60) || 24 * 60;
+  return minutes * 60 * 1000 - date.getSeconds() * 1000;
+}
+
+// ─────────────────────────────────────────────────────────────
+// 💾 Watch state: when each title was last polled successfully
+// ─────────────────────────────────────────────────────────────
+function loadWatchState(path) {
+  if (!existsSync(path)) return { titles: {} };
+  try {
+    const data = JSON.parse(readFileSync(path, 'utf8'));
+    return { ...data, titles: data.titles || {} };
+  } catch (err) {
+    console.warn(`⚠️ Watch state ${path} unreadable (${err.message}), polling from scratch`);
+    return { titles: {} };
+  }
+}
+
+// ─────────────────────────────────────────────────────────────
+// 🔔 One poll over the whole list
+// A title without a previous poll (or without a root post in one of
+// its destinations) gets a regular catch-up run; after that only chapters
+// changed since the last poll are looked at, and new ones are
+// posted as replies under the existing root message.
+// ─────────────────────────────────────────────────────────────
+async function pollTitle(item, { env, overrides, since }) {
+  const options = resolveOptions({ ...env, ...item.env, ...overrides });
+  const mangaId = parseMangaId(options.mangaInput);
+  const ledger = loadLedger(mangaId);
+  const dests = options.destinations.map(d => ({ chatId: d.chatId, threadId: destinationThreadId(ledger, d) }));
+  const hasRoots = dests.every(d => getRootMessageId(ledger, d.chatId, d.threadId));
+
+  if (options.mangadexLogin) await loginMangaDex(options.mangadexLogin);
+  if (!since || !hasRoots) {
+    console.log(`🆕 ${ledger.title || mangaId}: first poll, catching up`);
+    return runDownload(options);
+  }
+
+  const recent = await fetchFeedSince(mangaId, options.chapterPrefs.languages, new Date(since).getTime() - POLL_OVERLAP_MS);
+  // New for any destination is enough; the target only posts where it is missing
+  const undelivered = recent.filter(ch => !ch.externalUrl && dests.some(d => !isDelivered(ledger, ch.id, chapterKey(ch), d)));
+  if (undelivered.length === 0) {
+    console.log(`💤 ${ledger.title || mangaId}: nothing new`);
+    return null;
+  }
+
+  console.log(`🔔 ${ledger.title || mangaId}: ${undelivered.length} new chapter entr${undelivered.length === 1 ? 'y' : 'ies'}`);
+  return runDownload({ ...options, feed: undelivered });
+}
+
+async function pollOnce(listPath, { env, overrides, statePath }) {
+  const list = readMangaList(listPath);
+  if (list.errors.length > 0) throw new Error(list.errors.map(e => formatIssue(listPath, e)).join('\n'));
+
+  const state = loadWatchState(statePath);
+  // Dry runs poll the same windows again next time
+  const dryRun = (overrides.DRY_RUN ?? env.DRY_RUN) === 'true';
+  const stats = { checked: 0, posted: 0, failed: 0 };
+  const seen = new Set();
+  const items = await expandSources(list.entries, { env });
+
+  for (const item of items) {
+    if (item.errors.length > 0) {
+      for (const e of item.errors) console.error(`❌ ${formatIssue(listPath, e)}`);
+      stats.failed++;
+      continue;
+    }
+    const mangaId = parseMangaId(item.env.MANGA_INPUT);
+    if (seen.has(mangaId)) continue;
+    seen.add(mangaId);
+
+    const polledAt = new Date().toISOString();
+    const previous = state.titles[mangaId];
+    stats.checked++;
+    try {
+      const result = await pollTitle(item, { env, overrides, since: previous?.polledAt });
+      // A destination that missed a file counts too, it is only retried within the poll window
+      const failed = result && (result.failed.length > 0 || result.files.some(f => !f.ok || f.failed?.length > 0));
+      if (result) stats.posted += result.delivered;
+      if (failed) {
+        // The poll window is kept so the next poll retries what failed
+        stats.failed++;
+        continue;
+      }
+      state.titles[mangaId] = { title: result?.title ?? previous?.title ?? null, polledAt };
+    } catch (err) {
+      console.error(`❌ ${item.env.MANGA_INPUT}: ${err.message}`);
+      stats.failed++;
+      continue;
+    }
+    if (!dryRun) writeJsonAtomic(statePath, state);
+  }
+  const outDir = overrides.OUTPUT_DIR ?? env.OUTPUT_DIR;
+  if (!dryRun && !outDir) await postIndexes(items, { env, overrides });
+  return stats;
+}
+
+// ─────────────────────────────────────────────────────────────
+// 👀 Watch a list: poll, sleep, repeat (once: a single poll)
+// The list is re-read on every poll, so edits apply without a restart.
+// ─────────────────────────────────────────────────────────────
+export async function runWatch(listPath, {
+  env = process.env,
+  overrides = {},
+  intervalMinutes = WATCH_INTERVAL_MINUTES,
+  quietHours = WATCH_QUIET_HOURS,
+  once = false,
+  statePath = WATCH_STATE_PATH
+} = {}) {
+  const quiet = parseQuietHours(quietHours);
+  if (!(intervalMinutes > 0)) throw new Error('Poll interval must be a positive number of minutes');
+  console.log(`👀 Watching ${listPath} every ${intervalMinutes} min${quiet ? `, quiet ${quietHours}` : ''}`);
+
+  while (true) {
+    const now = new Date();
+    if (inQuietHours(now, quiet)) {
+      if (once) {
+        console.log('🌙 Quiet hours, not polling');
+        return { checked: 0, posted: 0, failed: 0 };
+      }
+      const wait = msUntilQuietEnd(now, quiet);
+      console.log(`🌙 Quiet hours, next poll at ${new Date(now.getTime() + wait).toLocaleTimeString()}`);
+      await sleep(wait);
+      continue;
+    }
+
+    try {
+      const stats = await pollOnce(listPath, { env, overrides, statePath });
+      console.log(`\n📊 Poll done: ${stats.checked} checked · ${stats.posted} chapter(s) posted · ${stats.failed} failed`);
+      if (once) return stats;
+    } catch (err) {
+      // A broken list edit should not stop a long-running watcher
+      if (once) throw err;
+      console.error(`❌ Poll failed: ${err.message}`);
+    }
+
+    const wait = intervalMinutes * 60 * 1000;
+    console.log(`⏳ Next poll at ${new Date(Date.now() + wait).toLocaleTimeString()}`);
+    await sleep(wait);
+  }
+}
@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildComicInfo, groupCbzFiles } from '../scripts/cbz.js';
+
+const meta = {
+  mangaId: 'm1',
+  title: 'Tom & Jerry',
+  description: 'A <cat> and a "mouse"',
+  year: 1940,
+  authors: ['Hanna', 'Barbera'],
+  artists: [],
+  genres: ['Comedy'],
+  themes: [],
+  originalLanguage: 'ja'
+};
+
+test('buildComicInfo escapes values and leaves out empty fields', () => {
+  const xml = buildComicInfo(meta, { title: 'Ch.1', number: '1', volume: null, pageCount: 20, langCode: 'en' });
+  assert.match(xml, /^<\?xml version="1.0" encoding="utf-8"\?>\n<ComicInfo /);
+  assert.match(xml, /<Series>Tom &amp; Jerry<\/Series>/);
+  assert.match(xml, /<Summary>A &lt;cat&gt; and a &quot;mouse&quot;<\/Summary>/);
+  assert.match(xml, /<Writer>Hanna, Barbera<\/Writer>/);
+  assert.match(xml, /<Year>1940<\/Year>/);
+  assert.match(xml, /<PageCount>20<\/PageCount>/);
+  assert.match(xml, /<Web>https:\/\/mangadex.org\/title\/m1<\/Web>/);
+  assert.match(xml, /<Manga>YesAndRightToLeft<\/Manga>/);
+  assert.doesNotMatch(xml, /<Volume>|<Penciller>|<Tags>/);
+});
+
+test('buildComicInfo links the chapter and reads left to right for non-Japanese titles', () => {
+  const xml = buildComicInfo({ ...meta, originalLanguage: 'ko', year: 'unknown' }, {
+    title: 'Ch.2', number: '2', volume: '1', pageCount: 5, langCode: 'ko', chapterUrl: 'https://mangadex.org/chapter/c2'
+  });
+  assert.match(xml, /<Web>https:\/\/mangadex.org\/chapter\/c2<\/Web>/);
+  assert.match(xml, /<Volume>1<\/Volume>/);
+  assert.match(xml, /<Manga>Yes<\/Manga>/);
+  assert.doesNotMatch(xml, /<Year>/);
+});
+
+const chap = (id, volume, size = 10) => ({ chapterId: id, volume, size });
+
+async function collect(groups) {
+  const result = [];
+  for await (const group of groups) result.push({ ...group, chapters: group.chapters.map(c => c.chapterId) });
+  return result;
+}
+
+test('groupCbzFiles gives every chapter its own CBZ by default', async () => {
+  const groups = await collect(groupCbzFiles([chap('a', '1'), chap('b', '1')], 'chapter', Infinity));
+  assert.deepEqual(groups.map(g => g.chapters), [['a'], ['b']]);
+});
+
+test('groupCbzFiles groups volumes and keeps chapters without one apart', async () => {
+  const groups = await collect(groupCbzFiles([
+    chap('a', '1'), chap('b', '1'), chap('c', null), chap('d', null), chap('e', '2')
+  ], 'volume', Infinity));
+  assert.deepEqual(groups.map(g => [g.volume, g.chapters]), [
+    ['1', ['a', 'b']],
+    [null, ['c']],
+    [null, ['d']],
+    ['2', ['e']]
+  ]);
+});
+
+test('groupCbzFiles splits a volume over the size limit into numbered parts', async () => {
+  const groups = await collect(groupCbzFiles([
+    chap('a', '1'), chap('b', '1'), chap('c', '1'), chap('d', '1'), chap('e', '2')
+  ], 'volume', 25));
+  assert.deepEqual(groups.map(g => [g.chapters, g.part]), [
+    [['a', 'b'], 1],
+    [['c', 'd'], 2],
+    [['e'], null]
+  ]);
+});
@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseRanges, inRanges, chapterKey, rangeLabel } from '../scripts/chapters.js';
+
+test('parseRanges reads single chapters, closed and open ranges', () => {
+  assert.deepEqual(parseRanges('1-20,35,40-'), [[1, 20], [35, 35], [40, Infinity]]);
+  assert.deepEqual(parseRanges('-10'), [[-Infinity, 10]]);
+  assert.deepEqual(parseRanges(' 10.5 - 12 '), [[10.5, 12]]);
+});
+
+test('parseRanges treats an empty spec as no filter', () => {
+  assert.equal(parseRanges(''), null);
+  assert.equal(parseRanges(undefined), null);
+});
+
+test('parseRanges rejects malformed and reversed ranges', () => {
+  assert.throws(() => parseRanges('1-2-3'), /Invalid range "1-2-3"/);
+  assert.throws(() => parseRanges('abc', 'chapter range'), /Invalid chapter range "abc"/);
+  assert.throws(() => parseRanges('20-10'), /start is after end/);
+  assert.throws(() => parseRanges('1,,2'), /Invalid range ""/);
+});
+
+test('inRanges matches numbered values only', () => {
+  const ranges = parseRanges('1-5,10-');
+  assert.equal(inRanges(3, ranges), true);
+  assert.equal(inRanges(7, ranges), false);
+  assert.equal(inRanges(1000, ranges), true);
+  assert.equal(inRanges(Infinity, ranges), false);
+  assert.equal(inRanges(null, ranges), false);
+  assert.equal(inRanges(null, null), true);
+});
+
+test('chapterKey groups translations of the same release', () => {
+  assert.equal(chapterKey({ chapter: '10.50', volume: '2' }), '10.5');
+  assert.equal(chapterKey({ chapter: ' Extra ', volume: '2' }), 'extra:2:extra');
+  assert.equal(chapterKey({ chapter: null, volume: '3' }), 'volume:3');
+  assert.equal(chapterKey({ chapter: null, volume: null }), 'oneshot');
+});
+
+test('rangeLabel names numbered and mixed ranges', () => {
+  const ch = (chapNum, label) => ({ chapNum, label });
+  assert.equal(rangeLabel(ch(1, 'Ch.1'), ch(12, 'Ch.12')), 'Ch.1-12');
+  assert.equal(rangeLabel(ch(12, 'Ch.12'), ch(null, 'Vol.3')), 'Ch.12 - Vol.3');
+  assert.equal(rangeLabel(ch(5, 'Ch.5'), ch(5, 'Ch.5')), 'Ch.5');
+});
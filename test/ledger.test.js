@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { isDelivered, markDelivered, mergeLedgers } from '../scripts/ledger.js';
+
+const empty = () => ({ mangaId: 'm', title: null, roots: {}, topics: {}, chapters: {} });
+const chap = (chapterId, chapKey) => ({ chapterId, chapKey, chapNum: Number(chapKey), langCode: 'en' });
+
+test('isDelivered is tracked per chat and forum topic', () => {
+  const ledger = empty();
+  markDelivered(ledger, [chap('a', '1')], { chatId: -100, messageId: 10 });
+  markDelivered(ledger, [chap('a', '1')], { chatId: -200, threadId: 7, messageId: 20 });
+
+  assert.equal(isDelivered(ledger, 'a', '1', { chatId: -100 }), true);
+  assert.equal(isDelivered(ledger, 'a', '1', { chatId: -200, threadId: 7 }), true);
+  assert.equal(isDelivered(ledger, 'a', '1', { chatId: -200 }), false);
+  assert.equal(isDelivered(ledger, 'a', '1', { chatId: -300 }), false);
+  assert.deepEqual(ledger.chapters.a.to, { '-100': 10, '-200/7': 20 });
+});
+
+test('isDelivered treats another version of a posted chapter as delivered', () => {
+  const ledger = empty();
+  markDelivered(ledger, [chap('a', '5')], { chatId: -100, messageId: 10 });
+  assert.equal(isDelivered(ledger, 'b', '5', { chatId: -100 }), true);
+  assert.equal(isDelivered(ledger, 'c', '6', { chatId: -100 }), false);
+});
+
+test('isDelivered reads single-chat records from older ledgers', () => {
+  const ledger = empty();
+  ledger.chapters.a = { chapNum: 3, chatId: -100, threadId: null, messageId: 10 };
+  assert.equal(isDelivered(ledger, 'a', '3', { chatId: -100 }), true);
+  assert.equal(isDelivered(ledger, 'x', '3', { chatId: -100 }), true);
+  assert.equal(isDelivered(ledger, 'a', '3', { chatId: -200 }), false);
+});
+
+test('mergeLedgers keeps both sides, preferring the second on conflicts', () => {
+  const upstream = empty();
+  upstream.title = 'Old title';
+  upstream.roots = { '-100': 1 };
+  markDelivered(upstream, [chap('a', '1'), chap('b', '2')], { chatId: -100, messageId: 10 });
+
+  const mine = empty();
+  mine.title = 'New title';
+  mine.roots = { '-200': 2, '-100': 3 };
+  mine.topics = { '-300': 9 };
+  markDelivered(mine, [chap('b', '2'), chap('c', '3')], { chatId: -200, messageId: 20 });
+
+  const merged = mergeLedgers(upstream, mine);
+  assert.equal(merged.title, 'New title');
+  assert.deepEqual(merged.roots, { '-100': 3, '-200': 2 });
+  assert.deepEqual(merged.topics, { '-300': 9 });
+  assert.deepEqual(Object.keys(merged.chapters).sort(), ['a', 'b', 'c']);
+  assert.deepEqual(merged.chapters.b.to, { '-100': 10, '-200': 20 });
+  assert.equal(isDelivered(merged, 'a', '1', { chatId: -100 }), true);
+  assert.equal(isDelivered(merged, 'c', '3', { chatId: -200 }), true);
+});
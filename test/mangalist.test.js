@@ -0,0 +1,81 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateList, normalizeLink } from '../scripts/mangalist.js';
+
+const ID = '801513ba-a712-498c-8f57-cae55b38cc92';
+const messages = entry => entry.errors.map(e => e.message);
+
+test('normalizeLink reduces pasted links and bare IDs to the canonical URL', () => {
+  const canonical = `https://mangadex.org/title/${ID}`;
+  assert.equal(normalizeLink(`https://mangadex.org/title/${ID}/berserk`), canonical);
+  assert.equal(normalizeLink(`https://mangadex.org/title/801513ba-a712-498c- 8f57-cae55b38cc92`), canonical);
+  assert.equal(normalizeLink(ID.toUpperCase()), canonical);
+  assert.equal(normalizeLink(`https://mangadex.org/author/${ID}/miura`, 'author'), `https://mangadex.org/author/${ID}`);
+  assert.throws(() => normalizeLink(`https://mangadex.org/author/${ID}`), /author link, not a title/);
+  assert.throws(() => normalizeLink(`https://mangadex.org/title/${ID}`, 'author'), /title link, not an author/);
+  assert.throws(() => normalizeLink('berserk'), /has no MangaDex title ID/);
+});
+
+test('file-level problems are reported without entries', () => {
+  assert.deepEqual(validateList('{}'), { errors: [{ line: 1, message: 'a manga list must be a JSON array' }], entries: [] });
+  const broken = validateList('[1,');
+  assert.equal(broken.errors.length, 1);
+  assert.equal(broken.entries.length, 0);
+});
+
+test('entries map onto env settings, with line numbers for problems', () => {
+  const text = [
+    '[',
+    `  "https://mangadex.org/title/${ID}/berserk",`,
+    '  {',
+    `    "link": "${ID}",`,
+    '    "format": "mobi",',
+    '    "languages": ["EN", "ru"]',
+    '  },',
+    '  { "title": "x" },',
+    '  42',
+    ']'
+  ].join('\n');
+  const { errors, entries } = validateList(text);
+  assert.deepEqual(errors, []);
+  assert.equal(entries.length, 4);
+
+  assert.equal(entries[0].line, 2);
+  assert.equal(entries[0].env.MANGA_INPUT, `https://mangadex.org/title/${ID}`);
+  assert.deepEqual(entries[0].errors, []);
+
+  assert.equal(entries[1].env.LANGUAGES, 'en,ru');
+  assert.deepEqual(entries[1].errors, [{ line: 5, message: '"format" must be one of: zip, cbz, epub, pdf' }]);
+  assert.deepEqual(entries[1].notes, [{ line: 4, message: 'duplicate of the entry on line 2, it will be skipped' }]);
+
+  assert.ok(messages(entries[2]).some(m => m.startsWith('missing "link"')));
+  assert.deepEqual(messages(entries[3]), ['entry must be a link string or an object']);
+});
+
+test('source entries need exactly one source and only their own options', () => {
+  const { entries } = validateList(JSON.stringify([
+    { author: `https://mangadex.org/author/${ID}`, role: 'artist', format: 'cbz' },
+    { link: ID, role: 'artist' },
+    { link: ID, author: ID },
+    `https://mangadex.org/list/${ID}/seasonal`,
+    { follows: true },
+    { follows: false },
+    { list: ID, title: 'x' },
+    { author: ID, role: 'painter' }
+  ]));
+  assert.deepEqual(entries[0].errors, []);
+  assert.equal(entries[0].env.AUTHOR_INPUT, `https://mangadex.org/author/${ID}`);
+  assert.equal(entries[0].env.AUTHOR_ROLE, 'artist');
+  assert.deepEqual(messages(entries[1]), ['"role" needs "author"']);
+  assert.deepEqual(messages(entries[2]), ['use only one of "link", "author"']);
+  assert.equal(entries[3].env.LIST_INPUT, `https://mangadex.org/list/${ID}`);
+  assert.equal(entries[4].env.FOLLOWS_INPUT, 'true');
+  assert.deepEqual(messages(entries[5]), ['"follows" must be true']);
+  assert.deepEqual(messages(entries[6]), ['"title" only applies to a single "link"']);
+  assert.deepEqual(messages(entries[7]), ['"role" must be one of: any, author, artist']);
+});
+
+test('unknown fields are rejected', () => {
+  const { entries } = validateList(JSON.stringify([{ link: ID, colour: 'red' }]));
+  assert.match(messages(entries[0])[0], /^unknown field "colour"/);
+});
@@ -0,0 +1,69 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ChapterQueue } from '../scripts/packaging.js';
+
+const chap = (id, size) => ({ chapterId: id, size });
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+test('the consumer gets every chapter in order, then the stream ends on close()', async () => {
+  const queue = new ChapterQueue(100);
+  await queue.push(chap('a', 10));
+  await queue.push(chap('b', 10));
+  queue.close();
+  const seen = [];
+  for await (const c of queue) seen.push(c.chapterId);
+  assert.deepEqual(seen, ['a', 'b']);
+});
+
+test('push() waits while the byte budget is used up', async () => {
+  const queue = new ChapterQueue(100);
+  await queue.push(chap('a', 60));
+  let pushed = false;
+  const second = queue.push(chap('b', 60)).then(() => { pushed = true; });
+  await tick();
+  assert.equal(pushed, false);
+
+  const reader = queue[Symbol.asyncIterator]();
+  assert.equal((await reader.next()).value.chapterId, 'a');
+  await second;
+  assert.equal(pushed, true);
+});
+
+test('an empty queue always takes one chapter, however big', async () => {
+  const queue = new ChapterQueue(ChapterQueue.ONE_CHAPTER);
+  await queue.push(chap('huge', 10 ** 9));
+  let pushed = false;
+  queue.push(chap('next', 1)).then(() => { pushed = true; });
+  await tick();
+  assert.equal(pushed, false);
+});
+
+test('abort() fails a waiting push(), later pushes and the consumer', async () => {
+  const queue = new ChapterQueue(ChapterQueue.ONE_CHAPTER);
+  await queue.push(chap('a', 10));
+  const waiting = queue.push(chap('b', 10));
+  queue.abort(new Error('upload failed'));
+
+  await assert.rejects(waiting, /upload failed/);
+  await assert.rejects(queue.push(chap('c', 10)), /upload failed/);
+  assert.throws(() => queue.throwIfAborted(), /upload failed/);
+  await assert.rejects(queue[Symbol.asyncIterator]().next(), /upload failed/);
+});
+
+test('a consumer failure stops the producer instead of leaving it waiting', async () => {
+  const queue = new ChapterQueue(ChapterQueue.ONE_CHAPTER);
+  const consumer = (async () => {
+    for await (const c of queue) throw new Error(`could not package ${c.chapterId}`);
+  })();
+  consumer.catch(err => queue.abort(err));
+
+  const pushed = [];
+  await assert.rejects(async () => {
+    for (const id of ['a', 'b', 'c', 'd']) {
+      queue.throwIfAborted();
+      await queue.push(chap(id, 10));
+      pushed.push(id);
+    }
+  }, /could not package a/);
+  assert.ok(pushed.length < 4);
+});
@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Headers } from 'node-fetch';
+import { TokenBucket, parseRetryAfter } from '../scripts/scheduler.js';
+
+// Allow for timer and clock jitter
+const near = (actual, expected) => assert.ok(Math.abs(actual - expected) < 2000, `${actual} not near ${expected}`);
+
+test('parseRetryAfter prefers the MangaDex reset timestamp', () => {
+  const reset = Math.ceil(Date.now() / 1000) + 30;
+  near(parseRetryAfter(new Headers({ 'x-ratelimit-retry-after': String(reset), 'retry-after': '5' })), 30000);
+  // A reset already in the past means no wait
+  assert.equal(parseRetryAfter(new Headers({ 'x-ratelimit-retry-after': String(reset - 3600) })), 0);
+});
+
+test('parseRetryAfter reads Retry-After as seconds or an HTTP date', () => {
+  assert.equal(parseRetryAfter(new Headers({ 'retry-after': '12' })), 12000);
+  near(parseRetryAfter(new Headers({ 'retry-after': new Date(Date.now() + 60000).toUTCString() })), 60000);
+  assert.equal(parseRetryAfter(new Headers({ 'retry-after': 'soon' })), null);
+  assert.equal(parseRetryAfter(new Headers()), null);
+});
+
+test('TokenBucket allows a burst, then spaces requests at the rate', async () => {
+  const bucket = new TokenBucket(20, 2);
+  const started = Date.now();
+  await bucket.take();
+  await bucket.take();
+  assert.ok(bucket.tokens < 1, 'the burst is spent');
+  await bucket.take();
+  await bucket.take();
+  // Two more tokens at 20/s take about 100 ms
+  assert.ok(Date.now() - started >= 90, `took ${Date.now() - started} ms`);
+});
+
+test('TokenBucket refills up to its capacity only', () => {
+  const bucket = new TokenBucket(4);
+  assert.equal(bucket.capacity, 4);
+  bucket.tokens = 0;
+  bucket.updatedAt = Date.now() - 60000;
+  bucket.refill();
+  assert.equal(bucket.tokens, 4);
+});
@@ -0,0 +1,37 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeFilters, parseSearchQuery, parsePicks } from '../scripts/search.js';
+
+test('parseSearchQuery splits keys from the title words', () => {
+  const filters = parseSearchQuery('berserk tag:action -tag:romance status:completed year:1989 author:"kentaro miura" lang:JA');
+  assert.equal(filters.title, 'berserk');
+  assert.equal(filters.author, 'kentaro miura');
+  assert.deepEqual(filters.tags, ['action']);
+  assert.deepEqual(filters.excludeTags, ['romance']);
+  assert.deepEqual(filters.status, ['completed']);
+  assert.deepEqual(filters.language, ['ja']);
+  assert.equal(filters.year, 1989);
+  assert.equal(filters.limit, 10);
+});
+
+test('parseSearchQuery keeps unknown keys as title words', () => {
+  assert.equal(parseSearchQuery('re:zero').title, 're:zero');
+});
+
+test('filters are validated', () => {
+  assert.throws(() => parseSearchQuery('tag:action status:paused'), /Unknown status "paused"/);
+  assert.throws(() => parseSearchQuery('berserk year:89'), /Invalid year "89"/);
+  assert.throws(() => parseSearchQuery('berserk limit:500'), /Limit must be 1-100/);
+  assert.throws(() => parseSearchQuery('rating:safe'), /Nothing to search for/);
+  assert.throws(() => normalizeFilters({ title: 'x', language: 'english' }), /Invalid language code "english"/);
+  assert.deepEqual(normalizeFilters({ tags: 'action, fantasy', rating: ['Safe', 'suggestive'] }).rating, ['safe', 'suggestive']);
+});
+
+test('parsePicks reads lists, ranges and all', () => {
+  assert.deepEqual(parsePicks('1,3-5', 6), [0, 2, 3, 4]);
+  assert.deepEqual(parsePicks('2, 2,1', 3), [1, 0]);
+  assert.deepEqual(parsePicks('all', 3), [0, 1, 2]);
+  assert.throws(() => parsePicks('0', 3), /outside 1-3/);
+  assert.throws(() => parsePicks('2-4', 3), /outside 1-3/);
+  assert.throws(() => parsePicks('x', 3), /Invalid pick "x"/);
+});
@@ -0,0 +1,75 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { selectChapters, getChapterPrefs } from '../scripts/selection.js';
+
+const group = (id, name) => ({ id, peek: () => ({ name }) });
+const chapter = (id, chapter, lang, { volume = null, groups = [], pages = 20, publishAt = '2020-01-01' } = {}) =>
+  ({ id, chapter, volume, translatedLanguage: lang, groups, pages, publishAt, externalUrl: null });
+
+// selectChapters explains every pick on the console
+const quietly = fn => {
+  const log = console.log;
+  console.log = () => {};
+  try {
+    return fn();
+  } finally {
+    console.log = log;
+  }
+};
+const pick = (feed, env = {}, max = 100) => quietly(() => selectChapters(feed, max, getChapterPrefs(env))).map(c => c.id);
+
+test('the highest ranked language wins', () => {
+  const feed = [chapter('ru1', '1', 'ru'), chapter('en1', '1', 'en'), chapter('ja1', '1', 'ja')];
+  assert.deepEqual(pick(feed, { LANGUAGES: 'en,ru' }), ['en1']);
+  assert.deepEqual(pick(feed, { LANGUAGES: 'ru,en' }), ['ru1']);
+});
+
+test('unlisted languages only count after a trailing *', () => {
+  const feed = [chapter('ja1', '1', 'ja')];
+  assert.deepEqual(pick(feed, { LANGUAGES: 'en' }), []);
+  assert.deepEqual(pick(feed, { LANGUAGES: 'en,*' }), ['ja1']);
+});
+
+test('preferred groups break language ties, blocked groups are never picked', () => {
+  const feed = [
+    chapter('a', '1', 'en', { groups: [group('g-a', 'Alpha')] }),
+    chapter('b', '1', 'en', { groups: [group('g-b', 'Beta')] })
+  ];
+  assert.deepEqual(pick(feed, { LANGUAGES: 'en', PREFERRED_GROUPS: 'beta' }), ['b']);
+  assert.deepEqual(pick(feed, { LANGUAGES: 'en', BLOCKED_GROUPS: 'g-a' }), ['b']);
+  assert.deepEqual(pick(feed, { LANGUAGES: 'en', BLOCKED_GROUPS: 'alpha,beta' }), []);
+});
+
+test('pages and newest pick among equally ranked versions, feed order otherwise', () => {
+  const feed = [
+    chapter('old', '1', 'en', { pages: 10, publishAt: '2020-01-01' }),
+    chapter('big', '1', 'en', { pages: 30, publishAt: '2019-01-01' }),
+    chapter('new', '1', 'en', { pages: 20, publishAt: '2021-01-01' })
+  ];
+  assert.deepEqual(pick(feed, { LANGUAGES: 'en' }), ['old']);
+  assert.deepEqual(pick(feed, { LANGUAGES: 'en', CHAPTER_PICK: 'pages' }), ['big']);
+  assert.deepEqual(pick(feed, { LANGUAGES: 'en', CHAPTER_PICK: 'newest' }), ['new']);
+});
+
+test('external chapters are skipped', () => {
+  const feed = [{ ...chapter('ext', '1', 'en'), externalUrl: 'https://example.com' }, chapter('c2', '2', 'en')];
+  assert.deepEqual(pick(feed, { LANGUAGES: 'en' }), ['c2']);
+});
+
+test('chapters come out in reading order, extras after their volume', () => {
+  const feed = [
+    chapter('c10', '10', 'en', { volume: '2' }),
+    chapter('extra', 'Extra', 'en', { volume: '1' }),
+    chapter('c2', '2', 'en', { volume: '1' }),
+    chapter('c1', '1', 'en', { volume: '1' }),
+    chapter('oneshot', null, 'en')
+  ];
+  assert.deepEqual(pick(feed, { LANGUAGES: 'en' }), ['c1', 'c2', 'extra', 'c10', 'oneshot']);
+});
+
+test('ranges and the chapter cap limit the selection', () => {
+  const feed = ['1', '2', '3', '4', '5'].map(n => chapter(`c${n}`, n, 'en', { volume: n <= '2' ? '1' : '2' }));
+  assert.deepEqual(pick(feed, { LANGUAGES: 'en', CHAPTERS: '2-4' }), ['c2', 'c3', 'c4']);
+  assert.deepEqual(pick(feed, { LANGUAGES: 'en', VOLUMES: '1' }), ['c1', 'c2']);
+  assert.deepEqual(pick(feed, { LANGUAGES: 'en' }, 2), ['c1', 'c2']);
+});
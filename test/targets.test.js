@@ -0,0 +1,25 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseDestinations } from '../scripts/targets.js';
+
+test('parseDestinations reads chats, forum topics and auto topics', () => {
+  assert.deepEqual(parseDestinations('-1001234, -1005678/42\n@my_channel -100999/auto'), [
+    { chatId: '-1001234', topicId: null, autoTopic: false },
+    { chatId: '-1005678', topicId: 42, autoTopic: false },
+    { chatId: '@my_channel', topicId: null, autoTopic: false },
+    { chatId: '-100999', topicId: null, autoTopic: true }
+  ]);
+});
+
+test('parseDestinations treats an empty setting as no destinations', () => {
+  assert.deepEqual(parseDestinations(''), []);
+  assert.deepEqual(parseDestinations('  '), []);
+  assert.deepEqual(parseDestinations(undefined), []);
+  assert.deepEqual(parseDestinations(-100123), [{ chatId: '-100123', topicId: null, autoTopic: false }]);
+});
+
+test('parseDestinations rejects anything else', () => {
+  assert.throws(() => parseDestinations('-100123/topic'), /Invalid destination "-100123\/topic"/);
+  assert.throws(() => parseDestinations('@abc'), /Invalid destination "@abc"/);
+  assert.throws(() => parseDestinations('https://t.me/c/123'), /expected chat, chat\/topic or chat\/auto/);
+});
@@ -0,0 +1,79 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'http';
+
+// A local stand-in for the Bot API: each test queues the answers it wants
+const answers = [];
+const requests = [];
+const server = createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    requests.push({ path: req.url, at: Date.now(), params: JSON.parse(body || '{}') });
+    const answer = answers.shift() ?? { ok: true, result: true };
+    res.writeHead(answer.ok ? 200 : answer.error_code, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(answer));
+  });
+});
+
+let telegram;
+
+before(async () => {
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  process.env.TELEGRAM_API_URL = `http://127.0.0.1:${server.address().port}`;
+  process.env.TELEGRAM_BOT_TOKEN = 'test-token';
+  process.env.TELEGRAM_CHAT_INTERVAL_MS = '0';
+  // telegram.js reads its settings on import
+  telegram = await import('../scripts/telegram.js');
+});
+
+after(() => server.close());
+
+const reset = t => {
+  answers.length = 0;
+  requests.length = 0;
+  t.mock.method(console, 'warn', () => {});
+};
+
+test('callApi waits out a flood wait, then retries', async t => {
+  reset(t);
+  answers.push({ ok: false, error_code: 429, description: 'Too Many Requests: retry after 1', parameters: { retry_after: 1 } });
+  answers.push({ ok: true, result: { message_id: 7 } });
+
+  const result = await telegram.callApi('sendMessage', { chat_id: 1, text: 'hi' });
+  assert.deepEqual(result, { message_id: 7 });
+  assert.equal(requests.length, 2);
+  assert.equal(requests[0].path, '/bottest-token/sendMessage');
+  assert.ok(requests[1].at - requests[0].at >= 900, 'the retry waited for retry_after');
+});
+
+test('callApi resends rejected HTML as plain text once', async t => {
+  reset(t);
+  answers.push({ ok: false, error_code: 400, description: "Bad Request: can't parse entities: unclosed tag" });
+
+  await telegram.sendMessage(1, '<b>Tom &amp; Jerry</b> &lt;3');
+  assert.equal(requests.length, 2);
+  assert.equal(requests[0].params.parse_mode, 'HTML');
+  assert.equal(requests[1].params.parse_mode, undefined);
+  assert.equal(requests[1].params.text, 'Tom & Jerry <3');
+});
+
+test('callApi throws a TelegramError when plain text is rejected too', async t => {
+  reset(t);
+  const parseError = { ok: false, error_code: 400, description: "Bad Request: can't parse entities" };
+  answers.push(parseError, parseError);
+
+  await assert.rejects(telegram.sendMessage(1, '<b>x'), err => {
+    assert.ok(err instanceof telegram.TelegramError);
+    assert.equal(err.code, 400);
+    assert.equal(err.isParseError, true);
+    return true;
+  });
+  assert.equal(requests.length, 2);
+});
+
+test('editMessageText ignores "message is not modified"', async t => {
+  reset(t);
+  answers.push({ ok: false, error_code: 400, description: 'Bad Request: message is not modified' });
+  assert.equal(await telegram.editMessageText(1, 2, 'same'), null);
+});
@@ -0,0 +1,32 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseQuietHours, inQuietHours } from '../scripts/watch.js';
+
+const at = (h, m = 0) => new Date(2024, 0, 1, h, m);
+
+test('parseQuietHours reads hours and hh:mm', () => {
+  assert.deepEqual(parseQuietHours('23-7'), { start: 23 * 60, end: 7 * 60 });
+  assert.deepEqual(parseQuietHours('22:30 - 06:00'), { start: 22 * 60 + 30, end: 6 * 60 });
+  assert.equal(parseQuietHours(''), null);
+  assert.equal(parseQuietHours(undefined), null);
+});
+
+test('parseQuietHours rejects anything else', () => {
+  assert.throws(() => parseQuietHours('24-7'), /Invalid quiet hours "24-7"/);
+  assert.throws(() => parseQuietHours('night'), /Invalid quiet hours/);
+  assert.throws(() => parseQuietHours('22:75-6'), /Invalid quiet hours "22:75-6"/);
+  assert.throws(() => parseQuietHours('22-6:60'), /Invalid quiet hours/);
+});
+
+test('quiet hours may wrap around midnight', () => {
+  const night = parseQuietHours('23-7');
+  assert.equal(inQuietHours(at(23, 30), night), true);
+  assert.equal(inQuietHours(at(3), night), true);
+  assert.equal(inQuietHours(at(7), night), false);
+  assert.equal(inQuietHours(at(12), night), false);
+
+  const lunch = parseQuietHours('12-13');
+  assert.equal(inQuietHours(at(12, 30), lunch), true);
+  assert.equal(inQuietHours(at(13), lunch), false);
+  assert.equal(inQuietHours(at(12), parseQuietHours('5-5')), false);
+});